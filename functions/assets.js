@@ -0,0 +1,135 @@
+const parser = require('lambda-multipart-parser');
+const { getBlobStore } = require('../lib/storage');
+const { ASSET_PREFIX, isValidAssetName, parseAssetOptions } = require('../lib/assets');
+const { authenticateRequest, unauthorizedResponse } = require('../lib/auth');
+const { HttpError, errorResponse } = require('../lib/errors');
+const { validateImage } = require('../lib/validate');
+const { createLogger, withRequestLogging } = require('../lib/log');
+
+const log = createLogger('assets');
+
+const MAX_ASSET_BYTES = 5 * 1024 * 1024;
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' },
+    body: JSON.stringify(body)
+  };
+}
+
+/**
+ * Manages brand assets (logos, watermarks, badges) that overlays can composite by name.
+ * GET    /.netlify/functions/assets              -> stored assets with their size and default placement
+ * POST   /.netlify/functions/assets              -> multipart `asset` file + `name` field, or a base64 body with `x-asset-name`;
+ *                                                   optional anchor, scale, margin, opacity and avoidCaption defaults
+ * DELETE /.netlify/functions/assets?name=logo    -> delete one asset
+ * Overlay requests then reference them with the `assets` option, e.g. x-assets: logo;anchor=top-left
+ */
+exports.handler = withRequestLogging('assets', async (event) => {
+  try {
+    const store = getBlobStore();
+
+    if (event.httpMethod === 'GET') {
+      const { blobs } = await store.list({ prefix: ASSET_PREFIX });
+      const assets = [];
+      for (const { key } of blobs) {
+        const result = await store.getMetadata(key);
+        assets.push({ name: key.slice(ASSET_PREFIX.length), ...(result && result.metadata) });
+      }
+      return json(200, { assets: assets.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0)) });
+    }
+
+    if (event.httpMethod !== 'POST' && event.httpMethod !== 'DELETE') {
+      return {
+        statusCode: 405,
+        headers: { 'Content-Type': 'application/json', 'Allow': 'GET, POST, DELETE' },
+        body: JSON.stringify({ error: 'Method not allowed' })
+      };
+    }
+
+    // Listing is open; changing assets needs an API key when keys are configured
+    const auth = authenticateRequest(event);
+    if (!auth.ok) return unauthorizedResponse(auth);
+
+    if (event.httpMethod === 'DELETE') {
+      const name = (event.queryStringParameters || {}).name;
+      if (!isValidAssetName(name)) {
+        throw new HttpError(400, 'INVALID_OPTION', 'Asset name required as ?name=', { field: 'name' });
+      }
+      const key = `${ASSET_PREFIX}${name}`;
+      if (!await store.getMetadata(key)) {
+        throw new HttpError(404, 'UNKNOWN_ASSET', `Unknown asset: ${name}`);
+      }
+      await store.delete(key);
+      log.info('Deleted asset', { name });
+      return json(200, { success: true, name });
+    }
+
+    let name, assetBuffer, readOption;
+    const headers = event.headers || {};
+    const contentType = headers['content-type'] || headers['Content-Type'];
+    if (contentType && contentType.includes('multipart/form-data')) {
+      let result;
+      try {
+        result = await parser.parse(event);
+      } catch (error) {
+        throw new HttpError(400, 'INVALID_MULTIPART', `Multipart body could not be parsed: ${error.message}`);
+      }
+      const assetFile = result.files.find(f => f.fieldname === 'asset' || f.fieldname === 'file');
+      name = result.name;
+      assetBuffer = assetFile && assetFile.content;
+      readOption = (field) => result[field];
+    } else {
+      name = headers['x-asset-name'];
+      assetBuffer = event.body ? Buffer.from(event.body, 'base64') : null;
+      readOption = (field) => headers[`x-${field.replace(/[A-Z]/g, c => '-' + c.toLowerCase())}`];
+    }
+
+    if (!isValidAssetName(name)) {
+      throw new HttpError(400, 'INVALID_OPTION', 'Asset name required (letters, digits, spaces, "_" and "-")', { field: 'name' });
+    }
+    if (assetBuffer && assetBuffer.length > MAX_ASSET_BYTES) {
+      throw new HttpError(413, 'IMAGE_TOO_LARGE', `Assets are limited to ${MAX_ASSET_BYTES} bytes`, { maxBytes: MAX_ASSET_BYTES });
+    }
+
+    const { options, invalid } = parseAssetOptions(readOption);
+    if (invalid.length) {
+      throw new HttpError(400, 'INVALID_OPTION',
+        invalid.map(({ field, value, expected }) => `${field} "${value}" is invalid, expected ${expected}`).join('; '),
+        { field: invalid[0].field, invalid });
+    }
+
+    // Same checks as overlay input: a real, decodable image; PNG or WebP keep transparency
+    const image = await validateImage(assetBuffer);
+    const metadata = {
+      format: image.format,
+      width: image.width,
+      height: image.height,
+      size: assetBuffer.length,
+      uploadedAt: new Date().toISOString(),
+      ...options
+    };
+
+    await store.set(`${ASSET_PREFIX}${name}`, assetBuffer, { metadata });
+    log.info('Stored asset', { name, width: image.width, height: image.height, format: image.format, size: assetBuffer.length });
+
+    return json(201, { success: true, name, ...metadata });
+
+  } catch (err) {
+    if (err instanceof HttpError) {
+      log.warn('Rejected request', { code: err.code, error: err.message });
+      return errorResponse(err);
+    }
+    log.error('Asset request failed', { error: err });
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        error: 'Asset request failed',
+        code: 'PROCESSING_FAILED',
+        message: err.message
+      })
+    };
+  }
+});
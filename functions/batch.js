@@ -0,0 +1,156 @@
+const { renderRequest } = require('./overlay');
+const { authenticateRequest, unauthorizedResponse } = require('../lib/auth');
+const { HttpError, errorResponse } = require('../lib/errors');
+const { mapWithConcurrency } = require('../lib/concurrency');
+const { createLogger, withLogContext, withRequestLogging } = require('../lib/log');
+
+const log = createLogger('batch');
+
+const DEFAULT_MAX_ITEMS = 50;
+const DEFAULT_CONCURRENCY = 3;
+const MAX_CONCURRENCY = 8;
+
+// Helper to read a positive integer limit from the environment
+function envInteger(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+// Helper to render one batch item as its own JSON overlay request and flatten the outcome into a result entry
+async function renderItem(event, item, defaults, index, keyId) {
+  const started = Date.now();
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return { index, success: false, statusCode: 400, error: 'Batch items must be JSON objects', code: 'INVALID_ITEM', durationMs: 0 };
+  }
+
+  // Each item is a JSON overlay body; shared defaults sit underneath and the response is always JSON
+  const { id, ...options } = item;
+  const merged = { ...defaults, ...options };
+  // Items render within the batch; async jobs and their callbacks belong to single overlay requests
+  if ((merged.async !== undefined && String(merged.async) !== 'false') || merged.callbackUrl !== undefined) {
+    return {
+      index,
+      ...(id !== undefined && { id }),
+      success: false,
+      statusCode: 400,
+      error: 'Batch items cannot be async or take a callbackUrl',
+      code: 'INVALID_ITEM',
+      durationMs: 0
+    };
+  }
+
+  const response = await renderRequest({
+    httpMethod: 'POST',
+    path: event.path,
+    headers: { 'content-type': 'application/json', 'accept': 'application/json' },
+    queryStringParameters: {},
+    body: JSON.stringify({ ...merged, response: 'json' })
+  }, { keyId });
+
+  const body = JSON.parse(response.body);
+  log.info('Item done', { statusCode: response.statusCode, durationMs: Date.now() - started });
+  return {
+    index,
+    ...(id !== undefined && { id }),
+    statusCode: response.statusCode,
+    ...body,
+    success: response.statusCode === 200,
+    durationMs: Date.now() - started
+  };
+}
+
+/**
+ * Renders many overlays in one request.
+ * POST /.netlify/functions/batch with a JSON body:
+ *   { "items": [{ "id": "a", "imageUrl": "...", "caption": "..." }, ...], "defaults": { "template": "brand-bar" }, "concurrency": 3 }
+ * Each item takes the same fields as a JSON overlay request (image, imageUrl or pageUrl, caption and options),
+ * with `defaults` merged underneath. Items render at most `concurrency` at a time (BATCH_CONCURRENCY, default 3)
+ * and each gets its own success or error entry, so one bad image doesn't fail the rest.
+ */
+exports.handler = withRequestLogging('batch', async (event) => {
+  const started = Date.now();
+
+  try {
+    if (event.httpMethod && event.httpMethod !== 'POST') {
+      return {
+        statusCode: 405,
+        headers: { 'Content-Type': 'application/json', 'Allow': 'POST' },
+        body: JSON.stringify({ error: 'Method not allowed' })
+      };
+    }
+
+    const auth = authenticateRequest(event);
+    if (!auth.ok) return unauthorizedResponse(auth);
+
+    let body;
+    try {
+      body = JSON.parse(Buffer.from(event.body || '', event.isBase64Encoded ? 'base64' : 'utf-8').toString('utf-8'));
+    } catch (error) {
+      throw new HttpError(400, 'INVALID_JSON', `Invalid JSON body: ${error.message}`);
+    }
+    if (!body || typeof body !== 'object' || !Array.isArray(body.items) || !body.items.length) {
+      throw new HttpError(400, 'INVALID_JSON', 'Expected a JSON object with a non-empty "items" array');
+    }
+
+    const maxItems = envInteger('BATCH_MAX_ITEMS', DEFAULT_MAX_ITEMS);
+    if (body.items.length > maxItems) {
+      throw new HttpError(413, 'BATCH_TOO_LARGE', `A batch can hold at most ${maxItems} items`, { maxItems });
+    }
+
+    const defaults = body.defaults || {};
+    if (typeof defaults !== 'object' || Array.isArray(defaults)) {
+      throw new HttpError(400, 'INVALID_OPTION', 'defaults must be an object of overlay options', { field: 'defaults' });
+    }
+
+    const concurrency = body.concurrency === undefined
+      ? Math.min(envInteger('BATCH_CONCURRENCY', DEFAULT_CONCURRENCY), MAX_CONCURRENCY)
+      : Number(body.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+      throw new HttpError(400, 'INVALID_OPTION', `concurrency must be an integer between 1 and ${MAX_CONCURRENCY}`, { field: 'concurrency' });
+    }
+
+    log.info('Rendering batch', { items: body.items.length, concurrency });
+    const results = await mapWithConcurrency(body.items, concurrency, (item, index) =>
+      withLogContext({ item: index, ...(item && item.id !== undefined && { itemId: item.id }) }, () =>
+        renderItem(event, item, defaults, index, auth.keyId)).catch(error => {
+        log.error('Item failed', { item: index, error });
+        return { index, success: false, statusCode: 500, error: 'Image processing failed', code: 'PROCESSING_FAILED', message: error.message };
+      }));
+
+    const succeeded = results.filter(result => result.success).length;
+    const completed = Date.now();
+    log.info('Batch done', { succeeded, total: results.length, durationMs: completed - started });
+
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' },
+      body: JSON.stringify({
+        success: succeeded === results.length,
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        concurrency,
+        startedAt: new Date(started).toISOString(),
+        completedAt: new Date(completed).toISOString(),
+        durationMs: completed - started,
+        results
+      })
+    };
+
+  } catch (err) {
+    if (err instanceof HttpError) {
+      log.warn('Rejected request', { code: err.code, error: err.message });
+      return errorResponse(err);
+    }
+    log.error('Batch processing failed', { error: err });
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        error: 'Batch processing failed',
+        code: 'PROCESSING_FAILED',
+        message: err.message
+      })
+    };
+  }
+});
@@ -0,0 +1,399 @@
+const { optionText } = require('./overlay');
+const { getBlobStore } = require('../lib/storage');
+const { resolveTemplate, listTemplates } = require('../lib/templates');
+const { PRESETS } = require('../lib/presets');
+const { renderOverlay, layoutTextSlides, textSlideBackground, composeTextSlide } = require('../lib/render');
+const { resolveFont } = require('../lib/fonts');
+const { CROP_MODES, CAPTION_PLACEMENTS, parseFocalPoint, cropToPreset } = require('../lib/crop');
+const { defaultTtlDays, lifecycleMetadata, isExpired } = require('../lib/lifecycle');
+const { suggestAltText, xmpFields, saveSidecar } = require('../lib/sidecar');
+const { authenticateRequest, unauthorizedResponse, signImageUrl, DEFAULT_URL_TTL_SECONDS } = require('../lib/auth');
+const { fetchImage, fetchPageMetadata } = require('../lib/fetch');
+const { HttpError, errorResponse } = require('../lib/errors');
+const { validateImage, validateCaption } = require('../lib/validate');
+const { DEFAULT_FORMAT, parseOutputOptions, encodeImage } = require('../lib/encode');
+const { sha256 } = require('../lib/cache');
+const { ASSET_PREFIX, parseAssetSpecs, loadAssets } = require('../lib/assets');
+const { maxSlides, parseBlocks, saveManifest, loadManifest } = require('../lib/carousel');
+const { createLogger, timeStage, withRequestLogging } = require('../lib/log');
+
+const log = createLogger('carousel');
+
+const DEFAULT_PRESET = 'square';
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' },
+    body: JSON.stringify(body)
+  };
+}
+
+// Helper to sign a slide's image and metadata URLs when REQUIRE_SIGNED_URLS (or the request) asks for it
+function signedSlide(slide, signUrls, urlTtl) {
+  if (!signUrls) return { ...slide, urlExpiresAt: null };
+  const { url, expiresAt } = signImageUrl(slide.imageUrl, urlTtl);
+  const metadataUrl = slide.metadataUrl && signImageUrl(slide.metadataUrl, urlTtl).url;
+  return { ...slide, imageUrl: url, ...(metadataUrl && { metadataUrl }), urlExpiresAt: expiresAt };
+}
+
+// Helper to return a stored manifest, with freshly signed slide URLs when every URL must be signed
+async function getManifest(store, carouselId) {
+  if (!carouselId || !/^[\w-]+$/.test(carouselId)) {
+    throw new HttpError(400, 'INVALID_OPTION', 'Carousel ID required as ?id=', { field: 'id' });
+  }
+
+  const found = await timeStage('store', () => loadManifest(store, carouselId));
+  if (!found) {
+    return json(404, { error: 'Carousel not found', carouselId });
+  }
+  if (isExpired(found.metadata)) {
+    return json(410, { error: 'Carousel expired', expiresAt: found.metadata.expiresAt });
+  }
+
+  const signUrls = process.env.REQUIRE_SIGNED_URLS === 'true';
+  const { manifest } = found;
+  return json(200, {
+    ...manifest,
+    slides: manifest.slides.map(slide => signedSlide(slide, signUrls, DEFAULT_URL_TTL_SECONDS))
+  });
+}
+
+/**
+ * Instagram-style carousels: a cover slide with the headline over the image, then as many text
+ * slides as the body needs, each with the same styling and a "2/5" page indicator.
+ * POST /.netlify/functions/carousel with a JSON body:
+ *   { "imageUrl": "...", "headline": "...", "body": ["First paragraph", "- A bullet point", ...], "template": "editorial" }
+ * The cover comes from `image`, `imageUrl` or `pageUrl` as for the overlay function; template overrides,
+ * `preset` (one, default square), crop, output, credit, assets, ttlDays, signedUrl and embedMetadata options apply too.
+ * Slides are stored as images and listed in order in a manifest:
+ * GET /.netlify/functions/carousel?id=1733512345-abc123 -> the manifest of a stored carousel
+ */
+exports.handler = withRequestLogging('carousel', async (event) => {
+  try {
+    if (event.httpMethod && event.httpMethod !== 'POST' && event.httpMethod !== 'GET') {
+      return {
+        statusCode: 405,
+        headers: { 'Content-Type': 'application/json', 'Allow': 'GET, POST' },
+        body: JSON.stringify({ error: 'Method not allowed' })
+      };
+    }
+
+    const auth = authenticateRequest(event);
+    if (!auth.ok) {
+      log.warn('Rejected request', { code: 'UNAUTHORIZED', error: auth.error });
+      return unauthorizedResponse(auth);
+    }
+
+    const store = getBlobStore();
+    if (event.httpMethod === 'GET') {
+      return await getManifest(store, (event.queryStringParameters || {}).id);
+    }
+
+    let body;
+    try {
+      body = JSON.parse(Buffer.from(event.body || '', event.isBase64Encoded ? 'base64' : 'utf-8').toString('utf-8'));
+    } catch (error) {
+      throw new HttpError(400, 'INVALID_JSON', `Invalid JSON body: ${error.message}`);
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new HttpError(400, 'INVALID_JSON', 'JSON body must be an object');
+    }
+
+    // Options are stringified so they parse the same way as the overlay function's; `body` is read as it is
+    const readOption = (field) => {
+      const value = body[field];
+      if (value === undefined || value === null) return undefined;
+      return Array.isArray(value) ? value.map(optionText).join(',') : optionText(value);
+    };
+
+    const resolved = await resolveTemplate(readOption('template'), readOption);
+    if (!resolved) {
+      throw new HttpError(400, 'UNKNOWN_TEMPLATE', `Unknown template: ${readOption('template')}`, {
+        templates: await listTemplates()
+      });
+    }
+    const { template, invalid } = resolved;
+    if (invalid.length) {
+      throw new HttpError(400, 'INVALID_OPTION',
+        invalid.map(({ field, value, expected }) => `${field} "${value}" is invalid, expected ${expected}`).join('; '),
+        { field: invalid[0].field, invalid });
+    }
+
+    // Every slide of a carousel has the same size
+    const presetName = (readOption('preset') || DEFAULT_PRESET).trim().toLowerCase();
+    const preset = PRESETS[presetName];
+    if (!preset) {
+      throw new HttpError(400, 'UNKNOWN_PRESET', `Unknown preset: ${presetName}`, { presets: Object.keys(PRESETS) });
+    }
+
+    // Cropping and placement apply to the cover; text slides reuse its crop
+    const focalPoint = parseFocalPoint(readOption('focalPoint'));
+    if (readOption('focalPoint') && !focalPoint) {
+      throw new HttpError(400, 'INVALID_OPTION',
+        'Focal point must be "x,y" fractions between 0 and 1, e.g. "0.5,0.3"', { field: 'focalPoint' });
+    }
+    const crop = readOption('crop') || (focalPoint ? 'focal' : 'center');
+    if (!CROP_MODES.includes(crop) || (crop === 'focal' && !focalPoint)) {
+      throw new HttpError(400, 'INVALID_OPTION',
+        crop === 'focal'
+          ? 'Focal cropping needs a focal point as "x,y" fractions between 0 and 1, e.g. "0.5,0.3"'
+          : `Unknown crop mode: ${crop}`,
+        { field: crop === 'focal' ? 'focalPoint' : 'crop', cropModes: CROP_MODES });
+    }
+    if (readOption('captionPlacement') && !CAPTION_PLACEMENTS.includes(readOption('captionPlacement'))) {
+      throw new HttpError(400, 'INVALID_OPTION', `Unknown caption placement: ${readOption('captionPlacement')}`, {
+        field: 'captionPlacement',
+        captionPlacements: CAPTION_PLACEMENTS
+      });
+    }
+    const captionPlacement = readOption('captionPlacement') || (crop === 'center' ? 'fixed' : 'auto');
+
+    const { specs: assetSpecs, invalid: invalidAssets } = parseAssetSpecs(readOption('assets'));
+    if (invalidAssets.length) {
+      throw new HttpError(400, 'INVALID_OPTION',
+        invalidAssets.map(({ field, value, expected }) => `${field} "${value}" is invalid, expected ${expected}`).join('; '),
+        { field: invalidAssets[0].field, invalid: invalidAssets });
+    }
+
+    const output = parseOutputOptions(readOption);
+
+    const embedOption = readOption('embedMetadata');
+    if (embedOption && embedOption !== 'true' && embedOption !== 'false') {
+      throw new HttpError(400, 'INVALID_OPTION', 'embedMetadata must be true or false', { field: 'embedMetadata' });
+    }
+
+    const requestedTtl = readOption('ttlDays') ? Number(readOption('ttlDays')) : undefined;
+    if (requestedTtl !== undefined && !(requestedTtl >= 0)) {
+      throw new HttpError(400, 'INVALID_OPTION', 'ttlDays must be a number of days, 0 or more', { field: 'ttlDays' });
+    }
+    const ttlDays = requestedTtl !== undefined ? requestedTtl : defaultTtlDays();
+
+    const signUrls = readOption('signedUrl') === 'true' || process.env.REQUIRE_SIGNED_URLS === 'true';
+    const requestedUrlTtl = readOption('urlTtl') ? Number(readOption('urlTtl')) : undefined;
+    if (requestedUrlTtl !== undefined && !(Number.isInteger(requestedUrlTtl) && requestedUrlTtl > 0)) {
+      throw new HttpError(400, 'INVALID_OPTION', 'urlTtl must be a whole number of seconds', { field: 'urlTtl' });
+    }
+    const urlTtl = requestedUrlTtl || DEFAULT_URL_TTL_SECONDS;
+    if (signUrls && !process.env.IMAGE_URL_SECRET) {
+      throw new HttpError(400, 'SIGNING_NOT_CONFIGURED', 'Signed URLs are not configured. Set IMAGE_URL_SECRET.');
+    }
+
+    const blocks = parseBlocks(body.body, { bullets: readOption('bullets') === 'true' });
+
+    // The cover image comes inline, from imageUrl, or from pageUrl's og:image (whose title can be the headline)
+    let imageBuffer = typeof body.image === 'string' && body.image
+      ? Buffer.from(body.image.replace(/^data:[^,]*;base64,/, ''), 'base64')
+      : null;
+    let headline = readOption('headline');
+    let source = null;
+    if (!imageBuffer && (readOption('imageUrl') || readOption('pageUrl'))) {
+      if (readOption('imageUrl')) {
+        source = { imageUrl: readOption('imageUrl'), pageUrl: null };
+      } else {
+        const page = await timeStage('fetch', () => fetchPageMetadata(readOption('pageUrl')));
+        source = { imageUrl: page.imageUrl, pageUrl: page.pageUrl, title: page.title };
+        headline = headline || page.title;
+      }
+      const fetched = await timeStage('fetch', () => fetchImage(source.imageUrl));
+      imageBuffer = fetched.buffer;
+      source.imageUrl = fetched.url;
+    }
+    headline = headline && validateCaption(headline, 'headline');
+    if (!headline) {
+      throw new HttpError(400, 'INVALID_OPTION', 'A headline is required', { field: 'headline' });
+    }
+    const credit = readOption('credit') && validateCaption(readOption('credit'), 'credit');
+
+    await timeStage('decode', () => validateImage(imageBuffer));
+
+    const font = await timeStage('font', () => resolveFont(template.fontFamily, template.fontWeight, { store }));
+    if (font.fallback) {
+      log.warn('Font unavailable, using fallback', { requested: font.requested, family: font.family || 'sans-serif', weight: font.weight });
+    }
+    const { assets, missing: missingAssets } = await loadAssets(store, assetSpecs);
+    if (missingAssets.length) {
+      const { blobs } = await store.list({ prefix: ASSET_PREFIX });
+      throw new HttpError(400, 'UNKNOWN_ASSET', `Unknown asset: ${missingAssets.join(', ')}`, {
+        assets: blobs.map(blob => blob.key.slice(ASSET_PREFIX.length)).sort()
+      });
+    }
+
+    // Paginate first: the page count is on every slide, the cover's included
+    const { pages, metrics } = await timeStage('layout', () => layoutTextSlides(blocks, template, preset, font));
+    const total = pages.length + 1;
+    if (total > maxSlides()) {
+      throw new HttpError(400, 'CAROUSEL_TOO_LONG',
+        `The body needs ${total} slides and a carousel can hold at most ${maxSlides()}; shorten it or use a larger preset`,
+        { slides: total, maxSlides: maxSlides() });
+    }
+    log.info('Rendering carousel', { slides: total, preset: presetName, template: template.name });
+
+    const timestamp = Date.now();
+    const inputHash = sha256(imageBuffer);
+    const carouselHash = sha256(JSON.stringify({
+      input: inputHash,
+      headline,
+      blocks,
+      template,
+      presetName,
+      crop,
+      focalPoint,
+      output,
+      credit,
+      assets: assets.map(({ name, options }) => ({ name, options }))
+    })).slice(0, 16);
+    const carouselId = `${timestamp}-${carouselHash}`;
+    const budget = { format: DEFAULT_FORMAT, ...output, maxBytes: output.maxBytes || preset.maxBytes };
+    // XMP is embedded as each slide is encoded, so it counts towards the size budget
+    const embedMetadata = embedOption === 'true';
+
+    const coverAltText = suggestAltText({ caption: headline, credit });
+    const cover = await renderOverlay(imageBuffer, headline, template, preset, font, {
+      crop,
+      focalPoint,
+      captionPlacement,
+      output,
+      assets,
+      credit,
+      page: { page: 1, total },
+      ...(embedMetadata && { xmp: xmpFields({ caption: headline, credit, altText: coverAltText }) })
+    });
+    const rendered = [{
+      kind: 'cover',
+      buffer: cover.buffer,
+      encoding: cover.encoding,
+      embedded: cover.encoding.embeddedMetadata,
+      lines: cover.layout.lines,
+      altText: coverAltText
+    }];
+
+    // Text slides share the cover's crop, blurred, and its brand colour
+    if (pages.length) {
+      const cropped = await timeStage('decode', () => cropToPreset(imageBuffer, preset, { crop, focalPoint }));
+      const background = await timeStage('render', () =>
+        textSlideBackground(cropped, { ...template, brandColor: cover.colors.brandColor }, metrics));
+      for (const [i, lines] of pages.entries()) {
+        const slide = await timeStage('render', () => composeTextSlide(background, {
+          blocks,
+          lines,
+          page: i + 2,
+          total,
+          headline,
+          metrics
+        }, template, preset, font));
+        const altText = `Slide ${i + 2} of ${total}, "${slide.headline}": ${slide.lines.join(' ')}`;
+        const encoded = await timeStage('encode', () => encodeImage(slide.data, slide.raw, {
+          ...budget,
+          ...(embedMetadata && { xmp: xmpFields({ caption: headline, credit, altText }) })
+        }));
+        rendered.push({
+          kind: 'text',
+          buffer: encoded.buffer,
+          encoding: encoded,
+          embedded: encoded.embedded,
+          lines: slide.lines,
+          altText
+        });
+      }
+    }
+
+    // Slides are stored like any other overlay, so /images serves them and cleanup expires them
+    const baseUrl = process.env.URL || 'https://bccaptioner.netlify.app';
+    const lifecycle = lifecycleMetadata(ttlDays);
+    const slides = [];
+    for (const [i, slide] of rendered.entries()) {
+      const imageId = `${timestamp}-${sha256(`${carouselHash}:${i}`).slice(0, 16)}`;
+      const { extension, contentType, format, quality } = slide.encoding;
+      const { buffer, embedded } = slide;
+      await timeStage('store', () => store.set(`overlays/${imageId}.${extension}`, buffer, {
+        metadata: {
+          ...lifecycle,
+          carouselId,
+          slide: i + 1,
+          preset: presetName,
+          format,
+          contentType,
+          quality,
+          width: preset.width,
+          height: preset.height,
+          size: buffer.length
+        }
+      }));
+      await timeStage('store', () => saveSidecar(store, imageId, {
+        file: `${imageId}.${extension}`,
+        createdAt: lifecycle.createdAt,
+        expiresAt: lifecycle.expiresAt,
+        carouselId,
+        slide: i + 1,
+        kind: slide.kind,
+        caption: headline,
+        ...(credit && { credit }),
+        altText: slide.altText,
+        lines: slide.lines,
+        source: { inputHash, ...source },
+        template: template.name,
+        preset: presetName,
+        width: preset.width,
+        height: preset.height,
+        format,
+        contentType,
+        quality,
+        size: buffer.length,
+        embeddedMetadata: embedded
+      }, lifecycle));
+      slides.push({
+        index: i + 1,
+        kind: slide.kind,
+        imageId,
+        imageUrl: `${baseUrl}/images/${imageId}.${extension}`,
+        metadataUrl: `${baseUrl}/images/${imageId}.json`,
+        width: preset.width,
+        height: preset.height,
+        size: buffer.length,
+        format,
+        quality,
+        lines: slide.lines,
+        altText: slide.altText
+      });
+    }
+
+    const manifest = {
+      carouselId,
+      createdAt: lifecycle.createdAt,
+      expiresAt: lifecycle.expiresAt,
+      headline,
+      template: template.name,
+      preset: presetName,
+      total,
+      slides
+    };
+    await timeStage('store', () => saveManifest(store, manifest));
+    log.info('Stored carousel', { carouselId, slides: total });
+
+    return json(200, {
+      success: true,
+      ...manifest,
+      manifestUrl: `${baseUrl}/.netlify/functions/carousel?id=${carouselId}`,
+      ...(source && { source }),
+      colors: cover.colors,
+      slides: slides.map(slide => signedSlide(slide, signUrls, urlTtl))
+    });
+
+  } catch (err) {
+    if (err instanceof HttpError) {
+      log.warn('Rejected request', { code: err.code, error: err.message });
+      return errorResponse(err);
+    }
+    log.error('Carousel failed', { error: err });
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        error: 'Carousel failed',
+        code: 'PROCESSING_FAILED',
+        message: err.message
+      })
+    };
+  }
+});
@@ -0,0 +1,37 @@
+const { getBlobStore } = require('../lib/storage');
+const { purgeExpired } = require('../lib/lifecycle');
+const { purgeIdempotencyRecords } = require('../lib/idempotency');
+const { purgeExpiredManifests } = require('../lib/carousel');
+const { purgeExpiredJobs } = require('../lib/jobs');
+const { createLogger, withRequestLogging } = require('../lib/log');
+
+const log = createLogger('cleanup-expired');
+
+/**
+ * Scheduled function (see netlify.toml) that deletes overlays past their expiresAt metadata,
+ * along with their render-cache entries, expired idempotency records, carousel manifests and job records.
+ */
+exports.handler = withRequestLogging('cleanup-expired', async () => {
+  try {
+    const store = getBlobStore();
+    const deleted = await purgeExpired(store);
+    const idempotencyRecords = await purgeIdempotencyRecords(store);
+    const carousels = await purgeExpiredManifests(store);
+    const jobs = await purgeExpiredJobs(store);
+    log.info('Deleted expired records', { images: deleted.length, idempotencyRecords, carousels, jobs });
+
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ success: true, deleted: deleted.length, imageIds: deleted, idempotencyRecords, carousels, jobs })
+    };
+
+  } catch (err) {
+    log.error('Cleanup failed', { error: err });
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ error: 'Cleanup failed', message: err.message })
+    };
+  }
+});
@@ -0,0 +1,102 @@
+const parser = require('lambda-multipart-parser');
+const { getBlobStore } = require('../lib/storage');
+const { BRAND_FONT_PREFIX, loadFontRegistry, isFontData } = require('../lib/fonts');
+const { sha256 } = require('../lib/cache');
+const { authenticateRequest, unauthorizedResponse } = require('../lib/auth');
+const { createLogger, withRequestLogging } = require('../lib/log');
+
+const log = createLogger('fonts');
+
+const MAX_FONT_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Lists available fonts and uploads brand fonts to the blob store.
+ * GET  /.netlify/functions/fonts  -> bundled fonts, unreadable font files and uploaded brand fonts
+ * POST /.netlify/functions/fonts  -> multipart `font` file + `name` field, or a base64 body with `x-font-name`
+ * Uploaded fonts can then be used by name via the overlay `fontFamily` option.
+ */
+exports.handler = withRequestLogging('fonts', async (event) => {
+  try {
+    const store = getBlobStore();
+
+    if (event.httpMethod === 'GET') {
+      const registry = await loadFontRegistry();
+      const list = await store.list({ prefix: BRAND_FONT_PREFIX });
+      return {
+        statusCode: 200,
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' },
+        body: JSON.stringify({
+          bundled: registry.fonts,
+          failed: registry.failed,
+          brand: (list.blobs || []).map(blob => blob.key.slice(BRAND_FONT_PREFIX.length))
+        })
+      };
+    }
+
+    if (event.httpMethod !== 'POST') {
+      return {
+        statusCode: 405,
+        headers: { 'Content-Type': 'application/json', 'Allow': 'GET, POST' },
+        body: JSON.stringify({ error: 'Method not allowed' })
+      };
+    }
+
+    // Listing is open; uploading needs an API key when keys are configured
+    const auth = authenticateRequest(event);
+    if (!auth.ok) return unauthorizedResponse(auth);
+
+    let name, fontBuffer;
+    const headers = event.headers || {};
+    const contentType = headers['content-type'] || headers['Content-Type'];
+    if (contentType && contentType.includes('multipart/form-data')) {
+      const result = await parser.parse(event);
+      const fontFile = result.files.find(f => f.fieldname === 'font' || f.fieldname === 'file');
+      name = result.name;
+      fontBuffer = fontFile && fontFile.content;
+    } else {
+      name = headers['x-font-name'];
+      fontBuffer = event.body ? Buffer.from(event.body, 'base64') : null;
+    }
+
+    if (!name || !/^[a-z0-9 _-]+$/i.test(name)) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: 'Font name required (letters, digits, spaces, "_" and "-")' })
+      };
+    }
+
+    if (!fontBuffer || fontBuffer.length > MAX_FONT_BYTES || !isFontData(fontBuffer)) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: `Expected a TTF, OTF, WOFF or WOFF2 font up to ${MAX_FONT_BYTES} bytes` })
+      };
+    }
+
+    // The content hash tells renders that a font re-uploaded under the same name has changed
+    const key = `${BRAND_FONT_PREFIX}${name}`;
+    const hash = sha256(fontBuffer);
+    await store.set(key, fontBuffer, {
+      metadata: { hash, size: fontBuffer.length, uploadedAt: new Date().toISOString() }
+    });
+    log.info('Stored brand font', { name, size: fontBuffer.length, hash });
+
+    return {
+      statusCode: 201,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ success: true, name, size: fontBuffer.length, hash })
+    };
+
+  } catch (err) {
+    log.error('Font request failed', { error: err });
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        error: 'Font request failed',
+        message: err.message
+      })
+    };
+  }
+});
@@ -0,0 +1,84 @@
+const sharp = require('sharp');
+const { getBlobStore, storageBackend } = require('../lib/storage');
+const { loadFontRegistry, SCRIPT_FALLBACK_FAMILIES } = require('../lib/fonts');
+const { createLogger, logLevel, withRequestLogging } = require('../lib/log');
+
+const log = createLogger('health');
+
+const STORAGE_TIMEOUT_MS = 5000;
+
+// A key that never exists; reading its metadata proves the store answers without writing anything
+const PROBE_KEY = 'health/probe';
+
+// Helper to read a dependency's version from its package.json, or null when it cannot be found
+function packageVersion(name) {
+  try {
+    return require(`${name}/package.json`).version;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Helper to check the blob store answers a metadata read within STORAGE_TIMEOUT_MS
+async function checkStorage() {
+  const started = Date.now();
+  let timer;
+  try {
+    const store = getBlobStore();
+    await Promise.race([
+      store.getMetadata(PROBE_KEY),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No answer within ${STORAGE_TIMEOUT_MS}ms`)), STORAGE_TIMEOUT_MS);
+      })
+    ]);
+    return { backend: storageBackend(), reachable: true, latencyMs: Date.now() - started };
+  } catch (error) {
+    log.warn('Storage unreachable', { backend: storageBackend(), error: error.message });
+    return { backend: storageBackend(), reachable: false, latencyMs: Date.now() - started, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Health and diagnostics.
+ * GET /.netlify/functions/health -> 200 when healthy, 503 when the blob store is unreachable or no
+ * caption font registered; the body reports fonts, library versions and storage either way.
+ */
+exports.handler = withRequestLogging('health', async (event) => {
+  if (event.httpMethod && event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers: { 'Content-Type': 'application/json', 'Allow': 'GET' },
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const [registry, storage] = await Promise.all([loadFontRegistry(), checkStorage()]);
+  const bundled = registry.fonts.filter(font => font.source === 'bundled');
+  const fallbackFamilies = new Set(registry.fonts.filter(font => font.source === 'fallback').map(font => font.family));
+  const healthy = storage.reachable && bundled.length > 0;
+
+  return {
+    statusCode: healthy ? 200 : 503,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' },
+    body: JSON.stringify({
+      status: healthy ? 'ok' : 'degraded',
+      time: new Date().toISOString(),
+      fonts: {
+        registered: registry.fonts.length,
+        bundled: bundled.map(font => `${font.family} ${font.weight}`),
+        scriptFallbacks: SCRIPT_FALLBACK_FAMILIES.map(family => ({ family, registered: fallbackFamilies.has(family) })),
+        failed: registry.failed
+      },
+      versions: {
+        node: process.version,
+        sharp: sharp.versions.sharp,
+        libvips: sharp.versions.vips,
+        canvas: packageVersion('@napi-rs/canvas')
+      },
+      storage,
+      logLevel: logLevel()
+    })
+  };
+});
@@ -1,28 +1,148 @@
-const { getStore } = require('@netlify/blobs');
-
-// Helper to get blob store with proper configuration for V1 functions
-function getBlobStore() {
-  const siteID = process.env.BLOB_SITE_ID;
-  const token = process.env.NETLIFY_BLOBS_TOKEN;
-  
-  if (!siteID || !token) {
-    throw new Error(`Blob storage not configured. BLOB_SITE_ID: ${!!siteID}, BLOB_TOKEN: ${!!token}`);
+const crypto = require('crypto');
+const { getBlobStore } = require('../lib/storage');
+const { OVERLAY_PREFIX, isExpired, createdAtFromId, sidecarKey } = require('../lib/lifecycle');
+const { loadSidecar } = require('../lib/sidecar');
+const { verifyImageSignature } = require('../lib/auth');
+const { OUTPUT_FORMATS, formatFromExtension } = require('../lib/encode');
+const { parseDerivativeOptions, resolveDerivative, renderDerivative } = require('../lib/derivatives');
+const { HttpError, errorResponse } = require('../lib/errors');
+const { createLogger, timeStage, withRequestLogging } = require('../lib/log');
+
+const log = createLogger('image');
+
+// Helper to build a strong ETag for a blob key. Blobs are never rewritten under the same key
+// (image IDs carry the render hash and derivative keys their options), so the key identifies the bytes
+function entityTag(key) {
+  return `"${crypto.createHash('sha256').update(key).digest('hex').slice(0, 32)}"`;
+}
+
+// Helper to check If-None-Match, or If-Modified-Since when there is no If-None-Match
+function notModified(headers, etag, lastModified) {
+  const ifNoneMatch = headers['if-none-match'] || headers['If-None-Match'];
+  if (ifNoneMatch) {
+    // Weak comparison: W/"x" matches "x"
+    return ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).some(tag => tag === '*' || tag === etag);
+  }
+
+  const ifModifiedSince = Date.parse(headers['if-modified-since'] || headers['If-Modified-Since'] || '');
+  // HTTP dates have whole seconds
+  return Number.isFinite(ifModifiedSince) && Math.floor(lastModified.getTime() / 1000) * 1000 <= ifModifiedSince;
+}
+
+// Helper to read a single byte range from the Range header. Returns { start, end } (inclusive),
+// { unsatisfiable: true }, or null to serve the whole image: no Range, an If-Range that no longer
+// matches, multiple ranges or a header that cannot be parsed
+function requestedRange(headers, size, etag, lastModified) {
+  const range = headers['range'] || headers['Range'];
+  if (!range) return null;
+
+  const ifRange = headers['if-range'] || headers['If-Range'];
+  if (ifRange && ifRange !== etag && Date.parse(ifRange) !== Math.floor(lastModified.getTime() / 1000) * 1000) {
+    return null;
+  }
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+  if (!match || (!match[1] && !match[2])) return null;
+
+  let start;
+  let end;
+  if (!match[1]) {
+    // Suffix range: the last N bytes
+    const suffix = parseInt(match[2], 10);
+    if (suffix === 0) return { unsatisfiable: true };
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+    if (match[2] && parseInt(match[2], 10) < start) return null;
   }
-  
-  return getStore({
-    name: 'instagram-overlays',
-    siteID,
-    token,
-    consistency: 'strong'  // Ensure immediate availability after write
-  });
+
+  return start < size ? { start, end } : { unsatisfiable: true };
+}
+
+// Helper to read a cached derivative, rendering and storing it from the master on first request
+async function loadDerivative(store, masterKey, masterMetadata, derivative) {
+  const cached = await timeStage('store', () => store.getWithMetadata(derivative.key));
+  if (cached) return cached;
+
+  const master = await timeStage('store', () => store.get(masterKey));
+  if (!master) return null;
+
+  const rendered = await renderDerivative(master, derivative);
+  const metadata = {
+    createdAt: new Date().toISOString(),
+    ttlDays: masterMetadata.ttlDays,
+    // Derivatives expire with their master; cleanup deletes them together
+    expiresAt: masterMetadata.expiresAt || null,
+    source: masterKey,
+    format: rendered.format,
+    contentType: rendered.contentType,
+    quality: rendered.quality,
+    width: rendered.width,
+    height: rendered.height,
+    size: rendered.buffer.length
+  };
+  await timeStage('store', () => store.set(derivative.key, rendered.buffer, { metadata }));
+  log.info('Derivative created', { key: derivative.key, source: masterKey, size: rendered.buffer.length });
+
+  return { data: rendered.buffer, metadata };
+}
+
+// Helper to serve an overlay's metadata record (caption, alt text, source, template, dimensions)
+async function serveSidecar(event, store, imageId) {
+  const sidecar = await timeStage('store', () => loadSidecar(store, imageId));
+  if (!sidecar) {
+    log.info('Metadata not found', { imageId });
+    return {
+      statusCode: 404,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ error: 'Image metadata not found', imageId })
+    };
+  }
+  if (isExpired(sidecar.metadata)) {
+    return {
+      statusCode: 410,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ error: 'Image expired', expiresAt: sidecar.metadata.expiresAt })
+    };
+  }
+
+  const lastModified = new Date(sidecar.metadata.createdAt || createdAtFromId(imageId) || 0);
+  const headers = {
+    'ETag': entityTag(sidecarKey(imageId)),
+    'Last-Modified': lastModified.toUTCString(),
+    'Cache-Control': 'no-cache',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, If-None-Match, If-Modified-Since',
+    'Access-Control-Expose-Headers': 'ETag, Last-Modified, Content-Length'
+  };
+  if (notModified(event.headers || {}, headers.ETag, lastModified)) {
+    return { statusCode: 304, headers, body: '' };
+  }
+
+  const body = JSON.stringify(sidecar.record);
+  return {
+    statusCode: 200,
+    headers: { ...headers, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body).toString() },
+    body: event.httpMethod === 'HEAD' ? '' : body
+  };
 }
 
 /**
- * Serves images from Netlify Blobs with clean public URLs.
- * URL pattern: /images/:id.jpg
+ * Serves images from the configured blob store with clean public URLs.
+ * URL pattern: /images/:id.:ext, where ext is the stored format (jpg, png, webp or avif)
  * Example: /images/1733512345-abc123.jpg
+ *
+ * Query-driven derivatives are rendered from the stored master on first request and cached as
+ * their own blobs: ?w=540 (width, never enlarged), ?format=webp and ?q=75 (quality), e.g.
+ * /images/1733512345-abc123.jpg?w=540&format=webp
+ * GET and HEAD answer If-None-Match / If-Modified-Since with 304 and single byte ranges with 206.
+ * /images/:id.json serves the image's metadata record: caption, suggested alt text, source,
+ * template, preset and dimensions.
  */
-exports.handler = async (event) => {
+exports.handler = withRequestLogging('image', async (event) => {
   // Handle OPTIONS preflight requests for CORS
   if (event.httpMethod === 'OPTIONS') {
     return {
@@ -37,12 +157,17 @@ exports.handler = async (event) => {
     };
   }
 
+  if (event.httpMethod && event.httpMethod !== 'GET' && event.httpMethod !== 'HEAD') {
+    return {
+      statusCode: 405,
+      headers: { 'Content-Type': 'application/json', 'Allow': 'GET, HEAD, OPTIONS' },
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
   try {
-    // Debug: log what we're receiving
-    console.log(`[IMAGE] Event path: ${event.path}`);
-    console.log(`[IMAGE] Event rawUrl: ${event.rawUrl}`);
-    console.log(`[IMAGE] Query params:`, JSON.stringify(event.queryStringParameters));
-    
+    log.debug('Image request', { path: event.path, rawUrl: event.rawUrl, query: event.queryStringParameters });
+
     // Extract image ID from query parameter (passed via redirect) or from path
     const queryParams = event.queryStringParameters || {};
     let imageId = queryParams.id;
@@ -52,45 +177,64 @@ exports.handler = async (event) => {
       const pathMatch = event.path.match(/\/images\/(.+)/);
       if (pathMatch) {
         imageId = pathMatch[1];
-        console.log(`[IMAGE] Extracted from path: ${imageId}`);
       }
     }
     
-    // Strip .jpg extension if present (from URL like /images/123-abc.jpg)
-    if (imageId && imageId.endsWith('.jpg')) {
-      imageId = imageId.slice(0, -4);
+    // Split off the extension (from URL like /images/123-abc.webp); bare IDs are the original JPEGs
+    let extension = 'jpg';
+    const extensionMatch = imageId && /^(.+)\.([a-z0-9]+)$/i.exec(imageId);
+    if (extensionMatch) {
+      imageId = extensionMatch[1];
+      extension = extensionMatch[2].toLowerCase();
+    }
+    const format = formatFromExtension(extension);
+
+    // IDs become blob keys, so anything beyond word characters and dashes (e.g. "..") is refused
+    if (imageId && !/^[\w-]+$/.test(imageId)) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: 'Invalid image ID' })
+      };
     }
     
-    if (!imageId) {
+    if (!imageId || (!format && extension !== 'json')) {
       return {
         statusCode: 400,
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ 
-          error: 'Missing image ID. Expected: /images/:id.jpg',
+          error: imageId
+            ? `Unsupported image extension: .${extension}`
+            : 'Missing image ID. Expected: /images/:id.jpg',
           debug: { path: event.path, query: event.queryStringParameters }
         })
       };
     }
     
-    console.log(`[IMAGE] Serving image ID: ${imageId}`);
+    // Check signed URLs before touching the store; the signature is for this file name only
+    const signature = verifyImageSignature(`${imageId}.${extension}`, queryParams);
+    if (!signature.ok) {
+      log.warn('Rejected request', { imageId, statusCode: signature.statusCode, error: signature.error });
+      return {
+        statusCode: signature.statusCode,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: signature.error })
+      };
+    }
     
-    // Retrieve image from Netlify Blobs
     const store = getBlobStore();
-    const blobKey = `overlays/${imageId}.jpg`;
-    console.log(`[IMAGE] Looking for blob key: ${blobKey}`);
-    
-    // List available blobs for debugging
-    try {
-      const list = await store.list({ prefix: 'overlays/' });
-      console.log(`[IMAGE] Available blobs in store:`, list.blobs?.map(b => b.key).slice(0, 10) || 'none');
-    } catch (listErr) {
-      console.log(`[IMAGE] Could not list blobs: ${listErr.message}`);
+    if (extension === 'json') {
+      return await serveSidecar(event, store, imageId);
     }
+
+    const derivativeOptions = parseDerivativeOptions(queryParams);
+
+    // Read the master's metadata first: 404, 410 and 304 answers need no image bytes
+    const blobKey = `${OVERLAY_PREFIX}${imageId}.${extension}`;
+    const master = await timeStage('store', () => store.getMetadata(blobKey));
     
-    const imageData = await store.get(blobKey, { type: 'arrayBuffer' });
-    
-    if (!imageData) {
-      console.log(`[IMAGE] Blob not found for key: ${blobKey}`);
+    if (!master) {
+      log.info('Image not found', { key: blobKey });
       return {
         statusCode: 404,
         headers: { 'Content-Type': 'application/json' },
@@ -98,27 +242,107 @@ exports.handler = async (event) => {
       };
     }
     
-    console.log(`[IMAGE] Found blob, size: ${imageData.byteLength} bytes`);
-    
+    // Expired images stay unservable even before the scheduled cleanup removes them
+    const metadata = master.metadata || {};
+    if (isExpired(metadata)) {
+      log.info('Image expired', { key: blobKey, expiresAt: metadata.expiresAt });
+      return {
+        statusCode: 410,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: 'Image expired', expiresAt: metadata.expiresAt })
+      };
+    }
+
+    const derivative = resolveDerivative(derivativeOptions, blobKey, format, metadata);
+    const servedKey = derivative ? derivative.key : blobKey;
+    const lastModified = new Date(metadata.createdAt || createdAtFromId(imageId) || 0);
+
     // Serve the image with headers compatible with Instagram Container API
-    const buffer = Buffer.from(imageData);
+    // Signed URLs must not outlive their expiry in a shared cache
+    const cacheControl = queryParams.expires
+      ? `private, max-age=${Math.max(0, parseInt(queryParams.expires, 10) - Math.floor(Date.now() / 1000))}`
+      : 'public, max-age=31536000, immutable';
+    const cachingHeaders = {
+      'ETag': entityTag(servedKey),
+      'Last-Modified': lastModified.toUTCString(),
+      'Cache-Control': cacheControl,
+      'Accept-Ranges': 'bytes',
+      // CORS headers for external services like Instagram
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Range, If-None-Match, If-Modified-Since',
+      'Access-Control-Expose-Headers': 'ETag, Last-Modified, Content-Range, Content-Length'
+    };
+
+    const headers = event.headers || {};
+    if (notModified(headers, cachingHeaders.ETag, lastModified)) {
+      log.debug('Not modified', { key: servedKey });
+      return { statusCode: 304, headers: cachingHeaders, body: '' };
+    }
+
+    const blob = derivative
+      ? await loadDerivative(store, blobKey, metadata, derivative)
+      : await timeStage('store', () => store.getWithMetadata(blobKey));
+    if (!blob) {
+      // Deleted between the metadata read and now
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: 'Image not found', key: blobKey })
+      };
+    }
+
+    const buffer = blob.data;
+    const contentType = (blob.metadata && blob.metadata.contentType) || OUTPUT_FORMATS[derivative ? derivative.format : format].contentType;
+    log.debug('Serving image', { key: servedKey, size: buffer.length });
+
+    // HEAD gets the headers of a full GET and no body
+    if (event.httpMethod === 'HEAD') {
+      return {
+        statusCode: 200,
+        headers: { ...cachingHeaders, 'Content-Type': contentType, 'Content-Length': buffer.length.toString() },
+        body: ''
+      };
+    }
+
+    const range = requestedRange(headers, buffer.length, cachingHeaders.ETag, lastModified);
+    if (range && range.unsatisfiable) {
+      return {
+        statusCode: 416,
+        headers: { ...cachingHeaders, 'Content-Range': `bytes */${buffer.length}` },
+        body: ''
+      };
+    }
+    if (range) {
+      const part = buffer.subarray(range.start, range.end + 1);
+      return {
+        statusCode: 206,
+        headers: {
+          ...cachingHeaders,
+          'Content-Type': contentType,
+          'Content-Range': `bytes ${range.start}-${range.end}/${buffer.length}`,
+          'Content-Length': part.length.toString()
+        },
+        body: part.toString('base64'),
+        isBase64Encoded: true
+      };
+    }
+
     return {
       statusCode: 200,
-      headers: { 
-        'Content-Type': 'image/jpeg',
-        'Cache-Control': 'public, max-age=31536000, immutable',
-        'Content-Length': buffer.length.toString(),
-        // CORS headers for external services like Instagram
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type'
-      },
+      headers: { ...cachingHeaders, 'Content-Type': contentType, 'Content-Length': buffer.length.toString() },
       body: buffer.toString('base64'),
       isBase64Encoded: true
     };
     
   } catch (err) {
-    console.error('Image serving error:', err);
+    // Storage refuses malformed keys with a plain INVALID_KEY error; they come from the request path
+    if (err.code === 'INVALID_KEY') err = new HttpError(400, 'INVALID_KEY', err.message);
+    if (err instanceof HttpError) {
+      log.warn('Rejected request', { code: err.code, error: err.message });
+      return errorResponse(err);
+    }
+    log.error('Image serving failed', { error: err });
     return {
       statusCode: 500,
       headers: { 'Content-Type': 'application/json' },
@@ -128,4 +352,4 @@ exports.handler = async (event) => {
       })
     };
   }
-};
+});
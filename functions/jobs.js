@@ -0,0 +1,54 @@
+const { getBlobStore } = require('../lib/storage');
+const { authenticateRequest, unauthorizedResponse } = require('../lib/auth');
+const { isValidJobId, loadJob, jobView } = require('../lib/jobs');
+const { isExpired } = require('../lib/lifecycle');
+const { createLogger, withRequestLogging } = require('../lib/log');
+
+const log = createLogger('jobs');
+
+function json(statusCode, body, headers = {}) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache', ...headers },
+    body: JSON.stringify(body)
+  };
+}
+
+/**
+ * Reports the status of an async overlay job.
+ * GET /.netlify/functions/jobs?id=1733512345000-9f2c4e7a1b3d5f60
+ *   -> { jobId, status: queued | running | done | failed, result (the overlay response) or error, callback }
+ * Jobs are only visible to the API key that queued them.
+ */
+exports.handler = withRequestLogging('jobs', async (event) => {
+  try {
+    if (event.httpMethod && event.httpMethod !== 'GET') {
+      return json(405, { error: 'Method not allowed' }, { 'Allow': 'GET' });
+    }
+
+    const auth = authenticateRequest(event);
+    if (!auth.ok) return unauthorizedResponse(auth);
+
+    const jobId = (event.queryStringParameters || {}).id;
+    if (!isValidJobId(jobId)) {
+      return json(400, { error: 'Invalid job ID' });
+    }
+
+    const job = await loadJob(getBlobStore(), jobId);
+    // keyId is null only with authentication off, so keyless jobs stay hidden from every key once it is on
+    if (!job || job.keyId !== auth.keyId) {
+      return json(404, { error: 'Job not found', jobId });
+    }
+    if (isExpired(job)) {
+      return json(410, { error: 'Job expired', expiresAt: job.expiresAt });
+    }
+
+    // Unfinished jobs hint when to poll again
+    const pending = job.status === 'queued' || job.status === 'running';
+    return json(200, jobView(job), pending ? { 'Retry-After': '5' } : {});
+
+  } catch (err) {
+    log.error('Job lookup failed', { error: err });
+    return json(500, { error: 'Job lookup failed', message: err.message });
+  }
+});
@@ -0,0 +1,88 @@
+const { renderRequest } = require('./overlay');
+const { getBlobStore } = require('../lib/storage');
+const { isValidJobId, saveJob, loadJob, loadJobRequest, deleteJobRequest, deliverCallback } = require('../lib/jobs');
+const { authenticateRequest, unauthorizedResponse } = require('../lib/auth');
+const { createLogger, withLogContext, withRequestLogging } = require('../lib/log');
+
+const log = createLogger('overlay-background');
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  };
+}
+
+/**
+ * Background function (Netlify runs "-background" functions for up to 15 minutes and answers the
+ * caller with 202 at once) that renders an async overlay job queued by the overlay function.
+ * POST /.netlify/functions/overlay-background with { "jobId": "..." }
+ * The request must authenticate as the API key that queued the job, as the overlay function's
+ * signed dispatch does; with authentication off any caller can start a job.
+ * Only a queued job can be started, once: the stored request is replayed through renderRequest(),
+ * the outcome saved on the job as done or failed, and the job posted to its callbackUrl, if any.
+ */
+exports.handler = withRequestLogging('overlay-background', async (event) => {
+  const auth = authenticateRequest(event);
+  if (!auth.ok) {
+    log.warn('Rejected request', { code: 'UNAUTHORIZED', error: auth.error });
+    return unauthorizedResponse(auth);
+  }
+
+  let jobId;
+  try {
+    jobId = JSON.parse(event.body || '{}').jobId;
+  } catch (error) {
+    jobId = null;
+  }
+  if (!isValidJobId(jobId)) {
+    return json(400, { error: 'Invalid job ID' });
+  }
+
+  return withLogContext({ jobId }, async () => {
+    const store = getBlobStore();
+    const job = await loadJob(store, jobId);
+    // Another key's job is reported as missing, as the jobs function does
+    if (!job || job.keyId !== auth.keyId) {
+      return json(404, { error: 'Job not found', jobId });
+    }
+    if (job.status !== 'queued') {
+      log.warn('Job already started', { status: job.status });
+      return json(409, { error: 'Job already started', status: job.status });
+    }
+
+    const request = await loadJobRequest(store, jobId);
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    await saveJob(store, job);
+    log.info('Job started');
+
+    let response;
+    try {
+      response = request
+        ? await renderRequest(request, { background: true, keyId: job.keyId })
+        : json(410, { error: 'Job request expired', code: 'JOB_EXPIRED' });
+    } catch (err) {
+      log.error('Job failed', { error: err });
+      response = json(500, { error: 'Image processing failed', code: 'PROCESSING_FAILED', message: err.message });
+    }
+
+    const body = JSON.parse(response.body);
+    job.status = response.statusCode === 200 ? 'done' : 'failed';
+    job.completedAt = new Date().toISOString();
+    job.statusCode = response.statusCode;
+    if (job.status === 'done') job.result = body;
+    else job.error = body;
+    await saveJob(store, job);
+    await deleteJobRequest(store, jobId);
+    log.info('Job finished', { status: job.status, statusCode: job.statusCode });
+
+    if (job.callbackUrl) {
+      job.callback = await deliverCallback(job);
+      await saveJob(store, job);
+      log.info('Callback finished', { delivered: job.callback.delivered, attempts: job.callback.attempts });
+    }
+    return json(200, { jobId, status: job.status });
+  });
+});
@@ -1,276 +1,742 @@
-const sharp = require('sharp');
-const { createCanvas, GlobalFonts } = require('@napi-rs/canvas');
 const parser = require('lambda-multipart-parser');
-const path = require('path');
-const fs = require('fs').promises;
-const crypto = require('crypto');
-const { getStore } = require('@netlify/blobs');
-
-// Helper to get blob store with proper configuration for V1 functions
-function getBlobStore() {
-  const siteID = process.env.BLOB_SITE_ID;
-  const token = process.env.NETLIFY_BLOBS_TOKEN;
-  
-  console.log(`[BLOB] siteID present: ${!!siteID}, token present: ${!!token}`);
-  
-  if (!siteID || !token) {
-    throw new Error(`Blob storage not configured. BLOB_SITE_ID: ${!!siteID}, BLOB_TOKEN: ${!!token}`);
+const { getBlobStore } = require('../lib/storage');
+const { resolveTemplate, listTemplates } = require('../lib/templates');
+const { PRESETS, parsePresets, captionArea } = require('../lib/presets');
+const { composeOverlay, renderOverlay, previewOverlay } = require('../lib/render');
+const { resolveFont } = require('../lib/fonts');
+const { CROP_MODES, CAPTION_PLACEMENTS, parseFocalPoint } = require('../lib/crop');
+const { defaultTtlDays, lifecycleMetadata } = require('../lib/lifecycle');
+const { authenticateRequest, unauthorizedResponse, signImageUrl, DEFAULT_URL_TTL_SECONDS } = require('../lib/auth');
+const { fetchImage, fetchPageMetadata, parseRemoteUrl } = require('../lib/fetch');
+const { HttpError, errorResponse } = require('../lib/errors');
+const { validateImage, validateCaption } = require('../lib/validate');
+const { parseOutputOptions, parseAccept, formatFromAccept } = require('../lib/encode');
+const { sha256, renderCacheKey, lookupRender, saveRender, extendRender } = require('../lib/cache');
+const { requestFingerprint, beginIdempotent, completeIdempotent, abandonIdempotent } = require('../lib/idempotency');
+const { ASSET_PREFIX, parseAssetSpecs, loadAssets } = require('../lib/assets');
+const { createJob, saveJob, jobView, dispatchJob } = require('../lib/jobs');
+const { suggestAltText, xmpFields, saveSidecar } = require('../lib/sidecar');
+const { createLogger, timeStage, withRequestLogging } = require('../lib/log');
+
+const log = createLogger('overlay');
+
+// Helper to turn a JSON option value into option text; objects become "name;key=value" specs, as used by assets
+function optionText(value) {
+  if (!value || typeof value !== 'object') return String(value);
+  const { name, ...options } = value;
+  return [name, ...Object.entries(options).map(([key, option]) => `${key}=${option}`)].join(';');
+}
+
+// Helper to decide between a JSON response and the image bytes themselves.
+// ?response=binary|json wins; otherwise an Accept header preferring an image type over JSON selects binary.
+function wantsBinaryResponse(responseOption, accept) {
+  if (responseOption === 'binary') return true;
+  if (responseOption === 'json') return false;
+
+  const types = parseAccept(accept);
+  const imageQ = Math.max(0, ...types.filter(({ type }) => type.startsWith('image/')).map(({ q }) => q));
+  const jsonQ = Math.max(0, ...types.filter(({ type }) => type === 'application/json').map(({ q }) => q));
+  return imageQ > jsonQ;
+}
+
+// Helper to re-sign the image and metadata URLs of a replayed response, which may have expired since it
+// was recorded. Each URL gets the lifetime it had left when the first response was sent.
+function resignReplayedUrls(response, completedAt) {
+  if (response.statusCode !== 200 || !process.env.IMAGE_URL_SECRET) return response;
+  const sentAt = new Date(completedAt).getTime() / 1000;
+  const resign = (url) => {
+    if (!url) return { url, expiresAt: null };
+    const parsed = new URL(url);
+    const expires = Number(parsed.searchParams.get('expires'));
+    if (!parsed.searchParams.has('sig') || !Number.isFinite(expires)) return { url, expiresAt: null };
+    parsed.searchParams.delete('expires');
+    parsed.searchParams.delete('sig');
+    return signImageUrl(parsed.toString(), expires - sentAt);
+  };
+  const resignVariant = (variant) => {
+    const image = resign(variant.imageUrl);
+    if (!image.expiresAt) return variant;
+    return { ...variant, imageUrl: image.url, metadataUrl: resign(variant.metadataUrl).url, urlExpiresAt: image.expiresAt };
+  };
+
+  const { variants = [], ...body } = JSON.parse(response.body);
+  return {
+    ...response,
+    body: JSON.stringify({ ...resignVariant(body), variants: variants.map(resignVariant) })
+  };
+}
+
+// Helper to queue a validated request as an async job and start the background function.
+// Answers 202 with the job and the URL to poll for its status.
+async function queueJob(event, options) {
+  const store = getBlobStore();
+  const baseUrl = process.env.URL || 'https://bccaptioner.netlify.app';
+  const job = await timeStage('store', () => createJob(store, event, options));
+
+  try {
+    await dispatchJob(job, baseUrl);
+  } catch (error) {
+    await saveJob(store, {
+      ...job,
+      status: 'failed',
+      completedAt: new Date().toISOString(),
+      statusCode: error.statusCode,
+      error: { error: error.message, code: error.code }
+    });
+    throw error;
   }
-  
-  return getStore({
-    name: 'instagram-overlays',
-    siteID,
-    token,
-    consistency: 'strong'  // Ensure immediate availability after write
-  });
+
+  const statusUrl = `${baseUrl}/.netlify/functions/jobs?id=${job.jobId}`;
+  log.info('Queued job', { jobId: job.jobId, callback: !!options.callbackUrl });
+  return {
+    statusCode: 202,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-cache',
+      'Location': statusUrl,
+      'Retry-After': '5'
+    },
+    body: JSON.stringify({ success: true, ...jobView(job), statusUrl })
+  };
 }
 
-// Helper function to wrap text
-function wrapText(context, text, maxWidth) {
-    const words = text.split(' ');
-    let lines = [];
-    let currentLine = words[0] || '';
-
-    for (let i = 1; i < words.length; i++) {
-        const word = words[i];
-        const width = context.measureText(currentLine + ' ' + word).width;
-        if (width < maxWidth) {
-            currentLine += ' ' + word;
-        } else {
-            lines.push(currentLine);
-            currentLine = word;
-        }
-    }
-    lines.push(currentLine);
-    return lines;
+// Helper to lay out one preset for a dry run: the composed layout in output coordinates, and
+// optionally a small JPEG with the caption area, caption box, text lines and assets outlined
+async function layoutVariant(imageBuffer, caption, template, presetName, font, options, withPreview) {
+  const preset = PRESETS[presetName];
+  const composed = await composeOverlay(imageBuffer, caption, template, preset, font, options);
+  const { layout } = composed;
+  const { box } = layout;
+
+  let preview;
+  if (withPreview) {
+    const { buffer, width, height } = await previewOverlay(composed, preset);
+    preview = { width, height, contentType: 'image/jpeg', data: buffer.toString('base64') };
+  }
+
+  return {
+    preset: presetName,
+    width: composed.width,
+    height: composed.height,
+    crop: composed.crop,
+    captionArea: captionArea(preset),
+    layout: {
+      fontSize: layout.fontSize,
+      lineHeight: layout.lineHeight,
+      truncated: layout.truncated,
+      direction: layout.direction,
+      maxWidth: layout.maxWidth,
+      background: layout.background,
+      box: { anchor: layout.anchor, moved: layout.moved, ...box },
+      lines: layout.textRects.map(rect => ({ ...rect, left: box.left + rect.left, top: box.top + rect.top }))
+    },
+    assets: composed.assets,
+    credit: composed.credit,
+    colors: composed.colors,
+    ...(preview && { preview })
+  };
 }
 
-exports.handler = async (event) => {
+/**
+ * Parses, renders and stores one overlay request; every outcome is returned as a response.
+ * Exported for the batch, preview and overlay-background functions. With `mode.dryRun` nothing is encoded, cached
+ * or stored: the response describes the layout of each preset instead, with a low-resolution
+ * outlined preview when the request sets preview=true. An async request is queued as a job for
+ * `mode.keyId` instead; the background function replays it with `mode.background`.
+ */
+async function renderRequest(event, mode = {}) {
+  const dryRun = !!mode.dryRun;
   try {
-    let caption, brandColor, imageBuffer;
+    let imageBuffer, readOption;
 
     // Check for multipart/form-data, typically from n8n
-    const contentType = event.headers['content-type'] || event.headers['Content-Type'];
+    const headers = event.headers || {};
+    const contentType = headers['content-type'] || headers['Content-Type'];
     if (contentType && contentType.includes('multipart/form-data')) {
-      const result = await parser.parse(event);
+      let result;
+      try {
+        result = await parser.parse(event);
+      } catch (error) {
+        throw new HttpError(400, 'INVALID_MULTIPART', `Multipart body could not be parsed: ${error.message}`);
+      }
       const imageFile = result.files.find(f => f.fieldname === 'image' || f.fieldname === 'file');
       
       if (!imageFile) {
-        throw new Error('Image file not found in multipart form data. Please use field name "image" or "file".');
+        throw new HttpError(400, 'MISSING_IMAGE', 'Image file not found in multipart form data. Please use field name "image" or "file".');
       }
 
       imageBuffer = imageFile.content;
-      caption = (result.caption && result.caption.toString('utf-8')) || 'Default Caption';
-      brandColor = (result.brandColor && result.brandColor.toString('utf-8')) || '#667eea';
+      readOption = (field) => result[field] && result[field].toString('utf-8');
+
+    } else if (contentType && contentType.includes('application/json')) {
+      // JSON input: { image | imageUrl | pageUrl, caption, ...options }; URLs are fetched below
+      let body;
+      try {
+        body = JSON.parse(Buffer.from(event.body || '', event.isBase64Encoded ? 'base64' : 'utf-8').toString('utf-8'));
+      } catch (error) {
+        throw new HttpError(400, 'INVALID_JSON', `Invalid JSON body: ${error.message}`);
+      }
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new HttpError(400, 'INVALID_JSON', 'JSON body must be an object');
+      }
+
+      // The image itself can also come inline as base64 (or a data: URL) in `image`
+      if (typeof body.image === 'string' && body.image) {
+        imageBuffer = Buffer.from(body.image.replace(/^data:[^,]*;base64,/, ''), 'base64');
+      }
+
+      // Options are stringified so they parse the same way as headers and form fields
+      readOption = (field) => {
+        const value = body[field];
+        if (value === undefined || value === null) return undefined;
+        return Array.isArray(value) ? value.map(optionText).join(',') : optionText(value);
+      };
 
     } else {
       // Fallback to original method (base64 body and headers)
-      caption = event.headers['x-caption'] || 'Default Caption';
-      brandColor = event.headers['x-brand-color'] || '#667eea';
-      imageBuffer = Buffer.from(event.body, 'base64');
+      imageBuffer = Buffer.from(event.body || '', 'base64');
+      // Options arrive as x-<kebab-case> headers, e.g. brandColor -> x-brand-color
+      readOption = (field) => headers[`x-${field.replace(/[A-Z]/g, c => '-' + c.toLowerCase())}`];
     }
 
-    // Validate input
-    if (!imageBuffer || imageBuffer.length === 0) {
-      return {
-        statusCode: 400,
-        body: JSON.stringify({ error: 'No image data provided' })
-      };
+    let caption = readOption('caption');
+
+    // Resolve the named template, with any per-request field overrides applied on top
+    const resolved = await resolveTemplate(readOption('template'), readOption);
+    if (!resolved) {
+      throw new HttpError(400, 'UNKNOWN_TEMPLATE', `Unknown template: ${readOption('template')}`, {
+        templates: await listTemplates()
+      });
+    }
+    const { template, overrides, invalid } = resolved;
+    if (invalid.length) {
+      throw new HttpError(400, 'INVALID_OPTION',
+        invalid.map(({ field, value, expected }) => `${field} "${value}" is invalid, expected ${expected}`).join('; '),
+        { field: invalid[0].field, invalid });
     }
 
-    // Get image metadata for responsive overlay
-    const metadata = await sharp(imageBuffer).metadata();
-    console.log(`Processing image: ${metadata.width}x${metadata.height}`);
-
-    const outputWidth = 1200;
-    const outputHeight = 628;
-
-    // --- Text and Box Styling ---
-    const fontSize = 30;
-    const textHeight = fontSize; // Text height matches font size
-    const padding = 10; // 10px padding on all sides (doubled with text size)
-    const overlayPixelShiftUp = 13;
-
-    // --- Set up Canvas for Text Measurement ---
-    let fontFamily = 'Arial, sans-serif'; // Default fallback
-    let fontLoaded = false;
-    
-    try {
-      const fontPath = path.join(__dirname, '..', 'fonts', 'OpenSans-Regular.ttf');
-      console.log(`Attempting to load font from: ${fontPath}`);
-      
-      // Check if font file exists
-      await fs.access(fontPath);
-      console.log('Font file exists, registering...');
-      
-      // Register Open Sans font (known to work well with @napi-rs/canvas)
-      const success = GlobalFonts.registerFromPath(fontPath, 'Open Sans');
-      
-      if (success) {
-        // Verify registration
-        const availableFonts = GlobalFonts.families;
-        console.log('Available fonts after registration:', availableFonts.slice(-3)); // Show last 3
-        
-        fontFamily = 'Open Sans, Arial, sans-serif';
-        fontLoaded = true;
-        console.log('✅ Open Sans font loaded successfully for Netlify compatibility');
-      } else {
-        console.warn('⚠️ Open Sans font registration failed, trying fallback registration');
-        
-        // Try without explicit name as fallback
-        const fallbackSuccess = GlobalFonts.registerFromPath(fontPath);
-        if (fallbackSuccess) {
-          const availableFonts = GlobalFonts.families;
-          const lastFont = availableFonts[availableFonts.length - 1];
-          fontFamily = `${lastFont}, Arial, sans-serif`;
-          fontLoaded = true;
-          console.log(`✅ Font loaded with automatic name: ${lastFont}`);
+    // Resolve the requested output presets, e.g. "square,story"
+    const { presets, unknown } = parsePresets(readOption('presets') || readOption('preset'));
+    if (unknown) {
+      throw new HttpError(400, 'UNKNOWN_PRESET', `Unknown preset: ${unknown.join(', ')}`, {
+        presets: Object.keys(PRESETS)
+      });
+    }
+
+    // Cropping: a focal point implies focal cropping; smart crops also let the caption move out of the way
+    const focalPoint = parseFocalPoint(readOption('focalPoint'));
+    if (readOption('focalPoint') && !focalPoint) {
+      throw new HttpError(400, 'INVALID_OPTION',
+        'Focal point must be "x,y" fractions between 0 and 1, e.g. "0.5,0.3"', { field: 'focalPoint' });
+    }
+    const crop = readOption('crop') || (focalPoint ? 'focal' : 'center');
+    if (!CROP_MODES.includes(crop) || (crop === 'focal' && !focalPoint)) {
+      throw new HttpError(400, 'INVALID_OPTION',
+        crop === 'focal'
+          ? 'Focal cropping needs a focal point as "x,y" fractions between 0 and 1, e.g. "0.5,0.3"'
+          : `Unknown crop mode: ${crop}`,
+        { field: crop === 'focal' ? 'focalPoint' : 'crop', cropModes: CROP_MODES });
+    }
+    if (readOption('captionPlacement') && !CAPTION_PLACEMENTS.includes(readOption('captionPlacement'))) {
+      throw new HttpError(400, 'INVALID_OPTION', `Unknown caption placement: ${readOption('captionPlacement')}`, {
+        field: 'captionPlacement',
+        captionPlacements: CAPTION_PLACEMENTS
+      });
+    }
+    const captionPlacement = readOption('captionPlacement') || (crop === 'center' ? 'fixed' : 'auto');
+
+    // Brand assets from the store by name, with optional per-request placement, e.g. "logo;anchor=bottom-left"
+    const { specs: assetSpecs, invalid: invalidAssets } = parseAssetSpecs(readOption('assets'));
+    if (invalidAssets.length) {
+      throw new HttpError(400, 'INVALID_OPTION',
+        invalidAssets.map(({ field, value, expected }) => `${field} "${value}" is invalid, expected ${expected}`).join('; '),
+        { field: invalidAssets[0].field, invalid: invalidAssets });
+    }
+
+    // Response mode: JSON with stored image URLs (default), or the rendered bytes with isBase64Encoded
+    const query = event.queryStringParameters || {};
+    const responseOption = query.response || readOption('response');
+    if (responseOption && responseOption !== 'binary' && responseOption !== 'json') {
+      throw new HttpError(400, 'INVALID_OPTION', `Unknown response mode: ${responseOption}`, {
+        field: 'response',
+        responseModes: ['json', 'binary']
+      });
+    }
+    const accept = headers['accept'] || headers['Accept'];
+    const binaryResponse = !dryRun && wantsBinaryResponse(responseOption, accept);
+    if (binaryResponse && presets.length > 1) {
+      throw new HttpError(400, 'INVALID_OPTION', 'A binary response carries one image; request a single preset', { field: 'presets' });
+    }
+
+    // Binary responses skip storage unless store=true; JSON responses need it for their URLs
+    const storeOption = query.store || readOption('store');
+    if (storeOption && storeOption !== 'true' && storeOption !== 'false') {
+      throw new HttpError(400, 'INVALID_OPTION', 'store must be true or false', { field: 'store' });
+    }
+    const storeImages = !dryRun && (storeOption ? storeOption === 'true' : !binaryResponse);
+    if (!storeImages && !binaryResponse && !dryRun) {
+      throw new HttpError(400, 'INVALID_OPTION', 'store=false needs a binary response; send Accept: image/* or ?response=binary', { field: 'store' });
+    }
+
+    // Dry runs can also return a small preview with the layout outlined
+    const previewOption = query.preview || readOption('preview');
+    if (previewOption && previewOption !== 'true' && previewOption !== 'false') {
+      throw new HttpError(400, 'INVALID_OPTION', 'preview must be true or false', { field: 'preview' });
+    }
+
+    // embedMetadata=true writes the caption, credit and alt text into the image file as XMP
+    const embedOption = readOption('embedMetadata');
+    if (embedOption && embedOption !== 'true' && embedOption !== 'false') {
+      throw new HttpError(400, 'INVALID_OPTION', 'embedMetadata must be true or false', { field: 'embedMetadata' });
+    }
+    const embedMetadata = embedOption === 'true';
+
+    // Output encoding: format, quality, JPEG flags and an optional file-size budget.
+    // A binary response can negotiate the format through Accept, e.g. Accept: image/webp
+    const output = parseOutputOptions(readOption, { format: binaryResponse ? formatFromAccept(accept) : null });
+
+    // Days until the stored images expire; 0 keeps them until deleted
+    const requestedTtl = readOption('ttlDays') ? Number(readOption('ttlDays')) : undefined;
+    if (requestedTtl !== undefined && !(requestedTtl >= 0)) {
+      throw new HttpError(400, 'INVALID_OPTION', 'ttlDays must be a number of days, 0 or more', { field: 'ttlDays' });
+    }
+    const ttlDays = requestedTtl !== undefined ? requestedTtl : defaultTtlDays();
+
+    // Signed image URLs expire after urlTtl seconds; REQUIRE_SIGNED_URLS signs every URL
+    const signUrls = readOption('signedUrl') === 'true' || process.env.REQUIRE_SIGNED_URLS === 'true';
+    const requestedUrlTtl = readOption('urlTtl') ? Number(readOption('urlTtl')) : undefined;
+    if (requestedUrlTtl !== undefined && !(Number.isInteger(requestedUrlTtl) && requestedUrlTtl > 0)) {
+      throw new HttpError(400, 'INVALID_OPTION', 'urlTtl must be a whole number of seconds', { field: 'urlTtl' });
+    }
+    const urlTtl = requestedUrlTtl || DEFAULT_URL_TTL_SECONDS;
+    if (signUrls && !process.env.IMAGE_URL_SECRET) {
+      throw new HttpError(400, 'SIGNING_NOT_CONFIGURED', 'Signed URLs are not configured. Set IMAGE_URL_SECRET.');
+    }
+
+    // Async mode (async=true or Prefer: respond-async) queues the request once its options are valid;
+    // the background function replays it, fetching and rendering outside this request's timeout
+    const asyncOption = query.async || readOption('async');
+    if (asyncOption && asyncOption !== 'true' && asyncOption !== 'false') {
+      throw new HttpError(400, 'INVALID_OPTION', 'async must be true or false', { field: 'async' });
+    }
+    const prefer = headers['prefer'] || headers['Prefer'] || '';
+    const asyncMode = !dryRun && !mode.background && (asyncOption ? asyncOption === 'true' : /\brespond-async\b/i.test(prefer));
+    const callbackUrl = readOption('callbackUrl');
+    if (asyncMode) {
+      if ((!imageBuffer || imageBuffer.length === 0) && !readOption('imageUrl') && !readOption('pageUrl')) {
+        throw new HttpError(400, 'MISSING_IMAGE', 'No image data provided');
+      }
+      if (binaryResponse) {
+        throw new HttpError(400, 'INVALID_OPTION', 'Async jobs store their images and report URLs; drop response=binary', { field: 'response' });
+      }
+      if (callbackUrl) {
+        parseRemoteUrl(callbackUrl);
+        if (!process.env.CALLBACK_SECRET) {
+          throw new HttpError(400, 'CALLBACKS_NOT_CONFIGURED', 'Callbacks are not configured. Set CALLBACK_SECRET.');
         }
       }
-    } catch (error) {
-      console.warn('❌ Custom font failed to load, using Arial fallback:', error.message);
-      console.warn('Font path attempted:', path.join(__dirname, '..', 'fonts', 'OpenSans-Regular.ttf'));
+      return await queueJob(event, { callbackUrl: callbackUrl || null, keyId: mode.keyId || null });
+    }
+    if (callbackUrl && !mode.background) {
+      throw new HttpError(400, 'INVALID_OPTION', 'callbackUrl needs an async request; add async=true', { field: 'callbackUrl' });
     }
 
-    const measureCanvas = createCanvas(200, 100);
-    const measureContext = measureCanvas.getContext('2d');
-    measureContext.font = `${fontSize}px "${fontFamily.split(',')[0].replace(/"/g, '')}"`;
-
-    // --- Define Safe Zone and Wrap Text ---
-    // Set the maximum width for the text, leaving a margin on the sides of the image.
-    const maxTextWidth = outputWidth - 100; // Leave margin for centering
-    const lines = wrapText(measureContext, caption, maxTextWidth);
-
-    // --- Calculate Exact Box Dimensions ---
-    let longestLineWidth = Math.max(...lines.map(line => measureContext.measureText(line).width));
-    
-    // Fallback for server measurement issues
-    if (longestLineWidth < 10 || isNaN(longestLineWidth)) {
-        console.warn('[FALLBACK] Text measurement failed, using character-based estimation');
-        const longestLine = lines.reduce((a, b) => a.length > b.length ? a : b, '');
-        longestLineWidth = longestLine.length * (fontSize * 0.6); // Rough character width estimation
-        console.log(`[FALLBACK] Estimated width: ${longestLineWidth}px for ${longestLine.length} characters`);
+    // Without uploaded bytes, fetch the image from imageUrl or from pageUrl's og:image
+    const imageUrlOption = readOption('imageUrl');
+    const pageUrlOption = readOption('pageUrl');
+    let source = null;
+    if ((!imageBuffer || imageBuffer.length === 0) && (imageUrlOption || pageUrlOption)) {
+      if (imageUrlOption) {
+        source = { imageUrl: imageUrlOption, pageUrl: null };
+      } else {
+        const page = await timeStage('fetch', () => fetchPageMetadata(pageUrlOption));
+        source = { imageUrl: page.imageUrl, pageUrl: page.pageUrl, title: page.title };
+        caption = caption || page.title;
+      }
+      const fetched = await timeStage('fetch', () => fetchImage(source.imageUrl));
+      imageBuffer = fetched.buffer;
+      source.imageUrl = fetched.url;
     }
-    
-    // Exact box sizing: text width + 5px padding on each side
-    const boxWidth = Math.ceil(longestLineWidth) + (padding * 2); // 5px left + 5px right
-
-    // Exact box height: text height + 5px padding on top and bottom, reduced by 10px
-    const boxHeight = textHeight + (padding * 2) - 10; // 5px top + 5px bottom, minus 10px
-
-    // Calculate final positions
-    const boxLeft = Math.round((outputWidth - boxWidth) / 2);
-    const boxTop = Math.round(outputHeight - boxHeight - overlayPixelShiftUp);
-
-    // --- Create Canvas-based Text Overlay (more reliable than SVG on server) ---
-    const canvas = createCanvas(boxWidth, boxHeight);
-    const canvasContext = canvas.getContext('2d');
-    
-    // Set up canvas for text rendering with rounded corners
-    canvasContext.fillStyle = 'rgba(0, 0, 0, 0.85)';
-    const cornerRadius = 5; // A bit more rounded corners
-    
-    // Draw rounded rectangle
-    canvasContext.beginPath();
-    canvasContext.roundRect(0, 0, boxWidth, boxHeight, cornerRadius);
-    canvasContext.fill();
-    
-    // Configure text rendering
-    canvasContext.fillStyle = 'white';
-    const fontName = fontLoaded ? fontFamily.split(',')[0].trim() : 'Arial';
-    canvasContext.font = `${fontSize}px "${fontName}"`;
-    canvasContext.textAlign = 'center';
-    canvasContext.textBaseline = 'middle';
-    
-    console.log(`[DEBUG] Using font: ${fontName} (loaded: ${fontLoaded})`);
-    console.log(`[DEBUG] Canvas font string: ${canvasContext.font}`);
-    console.log(`[DEBUG] Font family: ${fontFamily}`);
-    
-    // Draw text exactly in the center of the box (5px padding accounted for)
-    const textX = boxWidth / 2;
-    const textY = (boxHeight / 2) - 4; // Move text up by 4 pixels (was 2, now raised up 2)
-    canvasContext.fillText(lines[0], textX, textY); // Single line for now
-    
-    // Convert canvas to buffer
-    const overlayBuffer = canvas.toBuffer('image/png');
-    
-    console.log(`[DEBUG] Text lines: ${lines.length}`);
-    console.log(`[DEBUG] Lines content:`, lines);
-    console.log(`[DEBUG] Longest line width: ${longestLineWidth}px`);
-    console.log(`[DEBUG] Box dimensions: ${boxWidth}x${boxHeight}px`);
-    console.log(`[DEBUG] Box position: left=${boxLeft}, top=${boxTop}`);
-    console.log(`[DEBUG] Text position: left=${boxLeft}, top=${boxTop + 4}`);
-    console.log(`[DEBUG] Font family: ${fontFamily}`);
-    console.log(`[DEBUG] Font loaded: ${fontLoaded}`);
-    console.log(`[DEBUG] Canvas font: ${canvasContext.font}`);
-    console.log(`[DEBUG] First line preview:`, lines[0] ? lines[0].substring(0, 50) : 'NO LINES');
-    console.log(`[DEBUG] Using Canvas rendering instead of SVG to avoid fontconfig issues`);
-
-    // Process image: resize and composite single overlay
-    const outputBuffer = await sharp(imageBuffer)
-      .resize(outputWidth, outputHeight, { 
-        fit: 'cover', 
-        position: 'center',
-        withoutEnlargement: false
-      })
-      .composite([{ input: overlayBuffer, left: boxLeft, top: boxTop }])
-      .jpeg({ quality: 100 })
-      .toBuffer();
+    // Blank and whitespace-only captions both fall back to the default
+    caption = validateCaption(caption || '') || 'Default Caption';
 
-    console.log(`Output image size: ${outputBuffer.length} bytes`);
+    // Optional text blocks around the caption: a kicker label above, a subtitle below and a credit in a corner
+    const text = {};
+    for (const field of ['kicker', 'subtitle', 'credit']) {
+      const value = readOption(field) && validateCaption(readOption(field), field);
+      if (value) text[field] = value;
+    }
+
+    // Alt text for the Instagram API, suggested from the drawn text unless the caller writes it
+    const altText = (readOption('altText') && validateCaption(readOption('altText'), 'altText')) ||
+      suggestAltText({ caption, ...text });
+
+    // Check the bytes really are a supported, decodable image within the size limits
+    const metadata = await timeStage('decode', () => validateImage(imageBuffer));
+    log.info('Processing image', {
+      width: metadata.width,
+      height: metadata.height,
+      format: metadata.format,
+      template: template.name,
+      presets,
+      dryRun
+    });
+    log.debug('Request options', { overrides, crop, captionPlacement, output });
 
-    // Generate unique ID for this image
-    const timestamp = Date.now();
-    const hash = crypto.createHash('md5').update(outputBuffer).digest('hex').substring(0, 8);
-    const imageId = `${timestamp}-${hash}`;
-    
-    // Store image in Netlify Blobs
     const store = getBlobStore();
-    const blobKey = `overlays/${imageId}.jpg`;
-    console.log(`[OVERLAY] Storing blob with key: ${blobKey}`);
-    
-    await store.set(blobKey, outputBuffer);
-    console.log(`[OVERLAY] Blob stored successfully`);
-    
-    // Verify the blob was stored by reading it back
-    const verification = await store.get(blobKey, { type: 'arrayBuffer' });
-    if (verification) {
-      console.log(`[OVERLAY] Verification: blob exists, size: ${verification.byteLength} bytes`);
-    } else {
-      console.error(`[OVERLAY] WARNING: Blob verification failed - blob not found after store!`);
+
+    // Bundled fonts register once per cold start; brand fonts are looked up in the store by name
+    const font = await timeStage('font', () => resolveFont(template.fontFamily, template.fontWeight, { store }));
+    if (font.fallback) {
+      log.warn('Font unavailable, using fallback', { requested: font.requested, family: font.family || 'sans-serif', weight: font.weight });
+    }
+    const { assets, missing: missingAssets } = await loadAssets(store, assetSpecs);
+    if (missingAssets.length) {
+      const { blobs } = await store.list({ prefix: ASSET_PREFIX });
+      throw new HttpError(400, 'UNKNOWN_ASSET', `Unknown asset: ${missingAssets.join(', ')}`, {
+        assets: blobs.map(blob => blob.key.slice(ASSET_PREFIX.length)).sort()
+      });
     }
-    
-    // Create clean public URL for the image
     const baseUrl = process.env.URL || 'https://bccaptioner.netlify.app';
-    const imageUrl = `${baseUrl}/images/${imageId}.jpg`;
-    
-    console.log(`Image cached with ID: ${imageId}`);
-    console.log(`Image URL: ${imageUrl}`);
+    const timestamp = Date.now();
+    const variants = [];
+
+    // Identical input and parameters give the same render key, so stored renders are reused.
+    // ?cache=false renders again regardless
+    const inputHash = sha256(imageBuffer);
+    const useCache = (query.cache || readOption('cache')) !== 'false';
+
+    for (const presetName of presets) {
+      if (dryRun) {
+        variants.push(await layoutVariant(imageBuffer, caption, template, presetName, font, {
+          crop,
+          focalPoint,
+          captionPlacement,
+          assets,
+          ...text
+        }, previewOption === 'true'));
+        continue;
+      }
+
+      const renderKey = renderCacheKey({
+        inputHash,
+        caption,
+        template,
+        presetName,
+        preset: PRESETS[presetName],
+        crop,
+        focalPoint,
+        captionPlacement,
+        output,
+        font,
+        assets,
+        text,
+        metadata: { altText, embed: embedMetadata }
+      });
+      const cached = useCache ? await timeStage('store', () => lookupRender(store, renderKey, { withData: binaryResponse })) : null;
+
+      // `entry` is everything about the render except its URL, as recorded in the render cache
+      let entry, outputBuffer;
+      if (cached) {
+        log.info('Render cache hit', { preset: presetName, imageId: cached.record.imageId });
+        // A reused image lives at least as long as this request asked for
+        entry = await timeStage('store', () => extendRender(store, renderKey, cached.record, lifecycleMetadata(ttlDays)));
+        outputBuffer = cached.data;
+      } else {
+        const rendered = await renderOverlay(imageBuffer, caption, template, PRESETS[presetName], font, {
+          crop,
+          focalPoint,
+          captionPlacement,
+          output,
+          assets,
+          ...text,
+          ...(embedMetadata && { xmp: xmpFields({ caption, ...text, altText }) })
+        });
+        outputBuffer = rendered.buffer;
+
+        // Image IDs keep the creation timestamp prefix that listing and date filters rely on
+        entry = {
+          imageId: `${timestamp}-${renderKey.slice(0, 16)}`,
+          extension: rendered.encoding.extension,
+          contentType: rendered.encoding.contentType,
+          preset: presetName,
+          width: rendered.width,
+          height: rendered.height,
+          size: outputBuffer.length,
+          format: rendered.encoding.format,
+          quality: rendered.encoding.quality,
+          withinBudget: rendered.encoding.withinBudget,
+          expiresAt: null,
+          lines: rendered.layout.lines,
+          fontSize: rendered.layout.fontSize,
+          truncated: rendered.layout.truncated,
+          direction: rendered.layout.direction,
+          crop: rendered.crop,
+          captionPosition: {
+            anchor: rendered.layout.anchor,
+            moved: rendered.layout.moved,
+            ...rendered.layout.box
+          },
+          background: rendered.layout.background,
+          assets: rendered.assets,
+          credit: rendered.credit,
+          colors: rendered.colors,
+          altText,
+          embeddedMetadata: rendered.encoding.embeddedMetadata
+        };
+
+        if (storeImages) {
+          // Store image in the configured blob store
+          const blobKey = `overlays/${entry.imageId}.${entry.extension}`;
+          const metadata = {
+            ...lifecycleMetadata(ttlDays),
+            renderKey,
+            preset: presetName,
+            format: entry.format,
+            contentType: entry.contentType,
+            quality: entry.quality,
+            width: entry.width,
+            height: entry.height,
+            size: entry.size
+          };
+          await timeStage('store', async () => {
+            await store.set(blobKey, outputBuffer, { metadata });
+
+            // Verify the blob was stored by reading it back
+            const verification = await store.getMetadata(blobKey);
+            if (!verification) {
+              log.error('Blob verification failed, not found after store', { key: blobKey });
+            }
+
+            entry.expiresAt = metadata.expiresAt;
+            await saveRender(store, renderKey, entry);
+
+            // The metadata record keeps what was posted after the response is gone
+            await saveSidecar(store, entry.imageId, {
+              file: `${entry.imageId}.${entry.extension}`,
+              createdAt: metadata.createdAt,
+              expiresAt: metadata.expiresAt,
+              caption,
+              ...text,
+              altText,
+              source: { inputHash, ...source },
+              template: template.name,
+              overrides,
+              preset: presetName,
+              width: entry.width,
+              height: entry.height,
+              format: entry.format,
+              contentType: entry.contentType,
+              quality: entry.quality,
+              size: entry.size,
+              crop: entry.crop,
+              lines: entry.lines,
+              truncated: entry.truncated,
+              renderKey,
+              embeddedMetadata: entry.embeddedMetadata
+            }, metadata);
+          });
+          log.info('Stored image', { key: blobKey, size: entry.size });
+        }
+      }
+
+      // Create clean public URL for a stored image, signed when requested
+      let imageUrl = null;
+      let metadataUrl = null;
+      let urlExpiresAt = null;
+      if (cached || storeImages) {
+        const url = `${baseUrl}/images/${entry.imageId}.${entry.extension}`;
+        ({ url: imageUrl, expiresAt: urlExpiresAt } = signUrls
+          ? signImageUrl(url, urlTtl)
+          : { url, expiresAt: null });
+        // The metadata record is served next to the image and signed the same way
+        metadataUrl = `${baseUrl}/images/${entry.imageId}.json`;
+        if (signUrls) metadataUrl = signImageUrl(metadataUrl, urlTtl).url;
+        log.debug('Image URL', { imageId: entry.imageId, url: imageUrl });
+      }
+
+      variants.push({
+        buffer: outputBuffer,
+        contentType: entry.contentType,
+        extension: entry.extension,
+        preset: presetName,
+        imageUrl: imageUrl,
+        metadataUrl: metadataUrl,
+        imageId: entry.imageId,
+        cached: !!cached,
+        width: entry.width,
+        height: entry.height,
+        size: entry.size,
+        format: entry.format,
+        quality: entry.quality,
+        withinBudget: entry.withinBudget,
+        expiresAt: entry.expiresAt,
+        urlExpiresAt: urlExpiresAt,
+        lines: entry.lines,
+        fontSize: entry.fontSize,
+        truncated: entry.truncated,
+        direction: entry.direction,
+        crop: entry.crop,
+        captionPosition: entry.captionPosition,
+        background: entry.background,
+        assets: entry.assets,
+        credit: entry.credit,
+        colors: entry.colors,
+        altText: entry.altText,
+        embeddedMetadata: entry.embeddedMetadata
+      });
+    }
+
+    if (dryRun) {
+      log.info('Dry run laid out', { presets: variants.length });
+      return {
+        statusCode: 200,
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' },
+        body: JSON.stringify({
+          success: true,
+          dryRun: true,
+          caption: caption,
+          ...text,
+          ...(source && { source }),
+          template: template.name,
+          font: {
+            family: font.family || 'sans-serif',
+            weight: font.weight,
+            requested: font.requested,
+            fallback: font.fallback,
+            chain: font.chain,
+            scriptFallbacks: font.scriptFallbacks
+          },
+          variants
+        })
+      };
+    }
+
+    // Top-level fields mirror the first variant so single-preset callers keep working unchanged
+    const [primary] = variants;
+    const cacheStatus = variants.every(variant => variant.cached) ? 'HIT' : 'MISS';
+
+    if (binaryResponse) {
+      log.info('Returning image bytes', { size: primary.size, contentType: primary.contentType });
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': primary.contentType,
+          'Content-Length': primary.size.toString(),
+          'Content-Disposition': `inline; filename="overlay-${primary.preset}.${primary.extension}"`,
+          'Cache-Control': 'no-cache',
+          'X-Cache': cacheStatus,
+          'X-Preset': primary.preset,
+          'X-Caption-Truncated': String(primary.truncated),
+          ...(primary.colors && { 'X-Contrast-Ratio': String(primary.colors.contrastRatio) }),
+          ...(primary.imageUrl && { 'X-Image-Id': primary.imageId, 'X-Image-Url': primary.imageUrl })
+        },
+        body: primary.buffer.toString('base64'),
+        isBase64Encoded: true
+      };
+    }
 
     return {
       statusCode: 200,
       headers: { 
         'Content-Type': 'application/json',
-        'Cache-Control': 'no-cache'
+        'Cache-Control': 'no-cache',
+        'X-Cache': cacheStatus
       },
       body: JSON.stringify({
         success: true,
-        imageUrl: imageUrl,
-        imageId: imageId,
-        size: outputBuffer.length,
-        caption: caption
+        cached: cacheStatus === 'HIT',
+        imageUrl: primary.imageUrl,
+        metadataUrl: primary.metadataUrl,
+        imageId: primary.imageId,
+        size: primary.size,
+        format: primary.format,
+        expiresAt: primary.expiresAt,
+        urlExpiresAt: primary.urlExpiresAt,
+        caption: caption,
+        ...text,
+        altText: primary.altText,
+        ...(source && { source }),
+        template: template.name,
+        font: {
+          family: font.family || 'sans-serif',
+          weight: font.weight,
+          requested: font.requested,
+          fallback: font.fallback,
+          chain: font.chain
+        },
+        lines: primary.lines,
+        fontSize: primary.fontSize,
+        truncated: primary.truncated,
+        direction: primary.direction,
+        colors: primary.colors,
+        variants: variants.map(({ buffer, contentType, extension, ...variant }) => variant)
       })
     };
 
   } catch (err) {
-    console.error('Image processing error:', err);
+    // Validation and remote fetch failures are the caller's to fix, not ours
+    if (err instanceof HttpError) {
+      log.warn('Rejected request', { code: err.code, error: err.message });
+      return errorResponse(err);
+    }
+    log.error('Image processing failed', { error: err });
     return {
       statusCode: 500,
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ 
         error: 'Image processing failed',
+        code: 'PROCESSING_FAILED',
         message: err.message 
       })
     };
   }
-};
\ No newline at end of file
+}
+
+exports.handler = withRequestLogging('overlay', async (event) => {
+  // Reject unauthenticated callers before parsing or rendering anything
+  const auth = authenticateRequest(event);
+  if (!auth.ok) {
+    log.warn('Rejected request', { code: 'UNAUTHORIZED', error: auth.error });
+    return unauthorizedResponse(auth);
+  }
+  if (auth.keyId) log.info('Authenticated', { keyId: auth.keyId });
+
+  const headers = event.headers || {};
+  const idempotencyKey = headers['idempotency-key'] || headers['Idempotency-Key'];
+  if (!idempotencyKey) {
+    return renderRequest(event, { keyId: auth.keyId });
+  }
+
+  // Retries with the same Idempotency-Key replay the first JSON response instead of rendering again
+  if (idempotencyKey.length > 255) {
+    return errorResponse(new HttpError(400, 'INVALID_IDEMPOTENCY_KEY', 'Idempotency-Key must be at most 255 characters'));
+  }
+  const store = getBlobStore();
+  const fingerprint = requestFingerprint(event);
+  const started = await beginIdempotent(store, auth.keyId, idempotencyKey, fingerprint);
+
+  if (started.status === 'replay') {
+    log.info('Replaying response for Idempotency-Key');
+    const replayed = resignReplayedUrls(started.response, started.completedAt);
+    return { ...replayed, headers: { ...replayed.headers, 'Idempotent-Replayed': 'true' } };
+  }
+  if (started.status === 'mismatch') {
+    return errorResponse(new HttpError(422, 'IDEMPOTENCY_KEY_REUSED', 'Idempotency-Key was already used for a different request'));
+  }
+  if (started.status === 'in-progress') {
+    return errorResponse(new HttpError(409, 'IDEMPOTENCY_IN_PROGRESS', 'A request with this Idempotency-Key is still being processed'), { 'Retry-After': '5' });
+  }
+
+  const response = await renderRequest(event, { keyId: auth.keyId });
+  // Only successful JSON responses (and queued jobs) are kept; binary bodies are too large and failures should be retryable
+  if ((response.statusCode === 200 || response.statusCode === 202) && !response.isBase64Encoded) {
+    await completeIdempotent(store, started.key, fingerprint, response);
+  } else {
+    await abandonIdempotent(store, started.key);
+  }
+  return response;
+});
+
+exports.renderRequest = renderRequest;
+exports.optionText = optionText;
@@ -0,0 +1,91 @@
+const { getBlobStore } = require('../lib/storage');
+const { DAY_MS, listOverlays, deleteOverlay, purgeOlderThan } = require('../lib/lifecycle');
+const { authenticateRequest, unauthorizedResponse } = require('../lib/auth');
+const { createLogger, withRequestLogging } = require('../lib/log');
+
+const log = createLogger('overlays');
+
+// Helper to parse an ISO date (or YYYY-MM-DD) query parameter
+function parseDate(value) {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' },
+    body: JSON.stringify(body)
+  };
+}
+
+/**
+ * Manages stored overlays.
+ * GET    /.netlify/functions/overlays?limit=50&cursor=...&from=2025-01-01&to=2025-02-01  -> paginated list, newest first
+ * DELETE /.netlify/functions/overlays?id=1733512345-abc123                              -> delete one image
+ * DELETE /.netlify/functions/overlays?olderThanDays=30                                  -> purge images older than N days
+ */
+exports.handler = withRequestLogging('overlays', async (event) => {
+  try {
+    const auth = authenticateRequest(event);
+    if (!auth.ok) return unauthorizedResponse(auth);
+
+    const store = getBlobStore();
+    const query = event.queryStringParameters || {};
+
+    if (event.httpMethod === 'GET') {
+      const from = parseDate(query.from);
+      const to = parseDate(query.to);
+      if (from === null || to === null) {
+        return json(400, { error: 'Invalid date filter. Use ISO dates, e.g. from=2025-01-01' });
+      }
+
+      const result = await listOverlays(store, {
+        from,
+        to,
+        limit: parseInt(query.limit, 10) || undefined,
+        cursor: query.cursor
+      });
+      return json(200, result);
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      if (query.id) {
+        if (!/^[\w-]+$/.test(query.id)) {
+          return json(400, { error: 'Invalid image ID' });
+        }
+        const deleted = await deleteOverlay(store, query.id);
+        if (!deleted.length) {
+          return json(404, { error: 'Image not found', imageId: query.id });
+        }
+        log.info('Deleted image', { imageId: query.id });
+        return json(200, { success: true, deleted });
+      }
+
+      const days = parseFloat(query.olderThanDays);
+      if (Number.isFinite(days) && days >= 0) {
+        const deleted = await purgeOlderThan(store, new Date(Date.now() - days * DAY_MS));
+        log.info('Purged old images', { deleted: deleted.length, olderThanDays: days });
+        return json(200, { success: true, deleted: deleted.length, imageIds: deleted });
+      }
+
+      return json(400, { error: 'Expected ?id=<imageId> or ?olderThanDays=<days>' });
+    }
+
+    return {
+      statusCode: 405,
+      headers: { 'Content-Type': 'application/json', 'Allow': 'GET, DELETE' },
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+
+  } catch (err) {
+    // Storage refuses malformed keys with a plain INVALID_KEY error; they come from the query
+    if (err.code === 'INVALID_KEY') {
+      log.warn('Rejected request', { code: err.code, error: err.message });
+      return json(400, { error: err.message, code: err.code });
+    }
+    log.error('Overlay management failed', { error: err });
+    return json(500, { error: 'Overlay management failed', message: err.message });
+  }
+});
@@ -0,0 +1,30 @@
+const { renderRequest } = require('./overlay');
+const { authenticateRequest, unauthorizedResponse } = require('../lib/auth');
+const { createLogger, withRequestLogging } = require('../lib/log');
+
+const log = createLogger('preview');
+
+/**
+ * Dry run of an overlay request: takes exactly what /.netlify/functions/overlay takes and returns
+ * the layout it would use, without encoding, caching or storing anything.
+ * POST /.netlify/functions/preview             -> wrapped lines with measured widths, font, font size,
+ *                                                 caption box and text rectangles, crop and assets per preset
+ * POST /.netlify/functions/preview?preview=true -> the same, plus a small JPEG with the layout outlined
+ */
+exports.handler = withRequestLogging('preview', async (event) => {
+  if (event.httpMethod && event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers: { 'Content-Type': 'application/json', 'Allow': 'POST' },
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const auth = authenticateRequest(event);
+  if (!auth.ok) {
+    log.warn('Rejected request', { code: 'UNAUTHORIZED', error: auth.error });
+    return unauthorizedResponse(auth);
+  }
+
+  return renderRequest(event, { dryRun: true });
+});
@@ -0,0 +1,217 @@
+const sharp = require('sharp');
+const { ANCHORS, coerceValue, describeRule } = require('./templates');
+const { anchorBox } = require('./layout');
+const { sha256 } = require('./cache');
+
+// Brand assets (logos, watermarks, badges) live in the blob store under this prefix, keyed by name
+const ASSET_PREFIX = 'assets/';
+const MAX_ASSETS = 5;
+
+// Placement options an asset can carry, set as defaults at upload and overridable per request
+const ASSET_RULES = {
+  anchor: { type: 'enum', values: ANCHORS },
+  scale: { type: 'number', min: 0.01, max: 1 },
+  margin: { type: 'number', min: 0, max: 1000 },
+  opacity: { type: 'number', min: 0, max: 1 },
+  avoidCaption: { type: 'enum', values: ['true', 'false'] }
+};
+
+const ASSET_DEFAULTS = {
+  anchor: 'top-right',
+  scale: 0.15,
+  margin: 24,
+  opacity: 1,
+  avoidCaption: 'true'
+};
+
+/**
+ * Checks an asset name: letters, digits, spaces, "_" and "-", like brand font names.
+ */
+function isValidAssetName(name) {
+  return typeof name === 'string' && /^[a-z0-9 _-]+$/i.test(name);
+}
+
+/**
+ * Validates placement options read through `readOption(field)`.
+ * Returns { options, invalid } where `invalid` lists { field, value, expected } like template overrides.
+ */
+function parseAssetOptions(readOption) {
+  const options = {};
+  const invalid = [];
+
+  for (const [field, rule] of Object.entries(ASSET_RULES)) {
+    const raw = readOption(field);
+    const value = coerceValue(rule, raw);
+    if (value !== undefined) {
+      options[field] = value;
+    } else if (raw !== undefined && raw !== null && raw !== '') {
+      invalid.push({ field, value: String(raw), expected: describeRule(rule) });
+    }
+  }
+
+  return { options, invalid };
+}
+
+/**
+ * Parses the `assets` request option: comma-separated asset names, each optionally followed by
+ * `;key=value` placement overrides, e.g. "logo;anchor=bottom-left;scale=0.1, watermark;opacity=0.3".
+ * Returns { specs: [{ name, options }], invalid } where `invalid` entries name the offending field.
+ */
+function parseAssetSpecs(value) {
+  const specs = [];
+  const invalid = [];
+  if (!value) return { specs, invalid };
+
+  const entries = String(value).split(',').map(entry => entry.trim()).filter(Boolean);
+  if (entries.length > MAX_ASSETS) {
+    invalid.push({ field: 'assets', value: String(value), expected: `at most ${MAX_ASSETS} assets` });
+    return { specs, invalid };
+  }
+
+  for (const entry of entries) {
+    const [name, ...pairs] = entry.split(';').map(part => part.trim());
+    if (!isValidAssetName(name)) {
+      invalid.push({ field: 'assets', value: entry, expected: 'an asset name (letters, digits, spaces, "_" and "-")' });
+      continue;
+    }
+
+    const raw = {};
+    for (const pair of pairs.filter(Boolean)) {
+      const [key, ...rest] = pair.split('=');
+      if (!ASSET_RULES[key.trim()]) {
+        invalid.push({ field: `assets.${name}`, value: pair, expected: `one of ${Object.keys(ASSET_RULES).join(', ')}` });
+        continue;
+      }
+      raw[key.trim()] = rest.join('=').trim();
+    }
+
+    const { options, invalid: invalidOptions } = parseAssetOptions(field => raw[field]);
+    invalid.push(...invalidOptions.map(item => ({ ...item, field: `assets.${name}.${item.field}` })));
+    specs.push({ name, options });
+  }
+
+  return { specs, invalid };
+}
+
+/**
+ * Loads the requested assets from the store. Placement comes from the request, then the defaults
+ * saved with the asset at upload, then ASSET_DEFAULTS. Returns [{ name, data, hash, ...placement }]
+ * in request order, plus `missing` names that are not in the store.
+ */
+async function loadAssets(store, specs) {
+  const assets = [];
+  const missing = [];
+
+  for (const { name, options } of specs) {
+    const blob = await store.getWithMetadata(`${ASSET_PREFIX}${name}`);
+    if (!blob) {
+      missing.push(name);
+      continue;
+    }
+
+    const saved = parseAssetOptions(field => (blob.metadata || {})[field]).options;
+    assets.push({
+      name,
+      data: blob.data,
+      hash: sha256(blob.data),
+      ...ASSET_DEFAULTS,
+      ...saved,
+      ...options
+    });
+  }
+
+  return { assets, missing };
+}
+
+/**
+ * Tests whether two { left, top, width, height } rectangles overlap.
+ */
+function intersects(a, b) {
+  return a.left < b.left + b.width && b.left < a.left + a.width
+    && a.top < b.top + b.height && b.top < a.top + a.height;
+}
+
+// Helper to order anchors by grid distance from the preferred one, so a displaced asset moves as little
+// as possible; sliding along the same edge is preferred to moving towards the middle
+function anchorsNear(anchor) {
+  const position = candidate => {
+    const [vertical, horizontal = 'center'] = candidate === 'center' ? ['center'] : candidate.split('-');
+    return [['top', 'center', 'bottom'].indexOf(vertical), ['left', 'center', 'right'].indexOf(horizontal)];
+  };
+  const [row, column] = position(anchor);
+  const distance = candidate => {
+    const [r, c] = position(candidate);
+    return Math.abs(r - row) * 2 + Math.abs(c - column);
+  };
+  return [...ANCHORS].sort((a, b) => distance(a) - distance(b));
+}
+
+/**
+ * Sizes and positions each asset on a width x height output and returns the sharp composite
+ * layers plus where each asset went. An asset is `scale` of the output width (never taller than
+ * the output allows), `margin` pixels from the edges at its anchor, and faded to `opacity`.
+ * When it would overlap the caption box or an earlier asset, the nearest free anchor is used
+ * instead (avoidCaption=false only avoids other assets). When no anchor is free the asset stays put.
+ * Returns { layers, placements: [{ name, anchor, moved, overlapsCaption, left, top, width, height }] }.
+ */
+async function placeAssets(assets, width, height, captionBox) {
+  const layers = [];
+  const placements = [];
+  const taken = captionBox ? [captionBox] : [];
+
+  for (const asset of assets) {
+    const margin = Math.round(asset.margin);
+    const maxWidth = Math.max(1, Math.round(width * asset.scale));
+    const maxHeight = Math.max(1, height - margin * 2);
+
+    let image = sharp(asset.data)
+      .resize({ width: maxWidth, height: maxHeight, fit: 'inside' })
+      .ensureAlpha();
+    if (asset.opacity < 1) {
+      // Scale the alpha channel: dest-in keeps the asset's pixels where a uniform translucent tile is
+      image = sharp(await image.png().toBuffer()).composite([{
+        input: Buffer.from([0, 0, 0, Math.round(asset.opacity * 255)]),
+        raw: { width: 1, height: 1, channels: 4 },
+        tile: true,
+        blend: 'dest-in'
+      }]);
+    }
+    const { data, info } = await image.png().toBuffer({ resolveWithObject: true });
+
+    const area = { left: 0, top: 0, width, height };
+    const boxAt = anchor => ({
+      ...anchorBox(anchor, info.width, info.height, area, margin, margin),
+      width: info.width,
+      height: info.height
+    });
+    const obstacles = asset.avoidCaption === 'false' ? taken.slice(captionBox ? 1 : 0) : taken;
+    const anchor = anchorsNear(asset.anchor).find(candidate =>
+      !obstacles.some(obstacle => intersects(boxAt(candidate), obstacle))) || asset.anchor;
+    const box = boxAt(anchor);
+
+    layers.push({ input: data, left: box.left, top: box.top });
+    placements.push({
+      name: asset.name,
+      anchor,
+      moved: anchor !== asset.anchor,
+      overlapsCaption: !!captionBox && intersects(box, captionBox),
+      ...box
+    });
+    taken.push(box);
+  }
+
+  return { layers, placements };
+}
+
+module.exports = {
+  ASSET_PREFIX,
+  ASSET_RULES,
+  ASSET_DEFAULTS,
+  MAX_ASSETS,
+  isValidAssetName,
+  parseAssetOptions,
+  parseAssetSpecs,
+  loadAssets,
+  placeAssets,
+  intersects
+};
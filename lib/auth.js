@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+
+// Signed requests older or newer than this are rejected, limiting replay
+const MAX_CLOCK_SKEW_SECONDS = 300;
+const DEFAULT_URL_TTL_SECONDS = 15 * 60;
+
+// Helper for constant-time comparison of two strings
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Helper to read a header regardless of case
+function header(event, name) {
+  const headers = event.headers || {};
+  return headers[name] || headers[name.toLowerCase()] ||
+    Object.entries(headers).find(([key]) => key.toLowerCase() === name.toLowerCase())?.[1];
+}
+
+/**
+ * Loads API keys from API_KEYS ("id:secret,id:secret"). Keys listed by ID in
+ * REVOKED_API_KEYS ("id,id") are dropped, so one caller can be cut off without rotating the rest.
+ */
+function loadApiKeys() {
+  const revoked = new Set((process.env.REVOKED_API_KEYS || '').split(',').map(id => id.trim()).filter(Boolean));
+  return (process.env.API_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map((entry, index) => {
+      // A bare secret gets a positional ID, never part of the secret itself
+      const separator = entry.indexOf(':');
+      return separator === -1
+        ? { id: `key${index + 1}`, secret: entry }
+        : { id: entry.slice(0, separator), secret: entry.slice(separator + 1) };
+    })
+    .filter(key => key.secret && !revoked.has(key.id));
+}
+
+/**
+ * String a client signs for HMAC authentication:
+ *   <unix timestamp>.<HTTP method>.<request path>.<hex SHA-256 of the raw body>
+ */
+function requestSigningPayload(timestamp, method, path, body) {
+  const bodyHash = crypto.createHash('sha256').update(body || Buffer.alloc(0)).digest('hex');
+  return `${timestamp}.${method.toUpperCase()}.${path}.${bodyHash}`;
+}
+
+/**
+ * HMAC headers (`x-key-id`, `x-timestamp`, `x-signature`) that authenticate a request made on
+ * behalf of API key `keyId`, e.g. to start a background function for that key's job. Empty when
+ * authentication is off or the key is no longer configured.
+ */
+function signRequest(keyId, method, path, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const key = keyId && loadApiKeys().find(candidate => candidate.id === keyId);
+  if (!key) return {};
+  const signature = crypto.createHmac('sha256', key.secret)
+    .update(requestSigningPayload(timestamp, method, path, body))
+    .digest('hex');
+  return { 'x-key-id': key.id, 'x-timestamp': String(timestamp), 'x-signature': signature };
+}
+
+/**
+ * Authenticates a request against the configured API keys, accepting either:
+ *   - an API key in `x-api-key` or `Authorization: Bearer <key>`
+ *   - an HMAC signature: `x-key-id`, `x-timestamp` (unix seconds) and
+ *     `x-signature` (hex HMAC-SHA256 of requestSigningPayload() with the key's secret)
+ * With no API_KEYS configured, authentication is disabled so local harnesses keep working.
+ *
+ * Returns { ok: true, keyId } or { ok: false, statusCode, error }.
+ */
+function authenticateRequest(event) {
+  const keys = loadApiKeys();
+  if (!keys.length) {
+    return { ok: true, keyId: null };
+  }
+
+  const signature = header(event, 'x-signature');
+  if (signature) {
+    const keyId = header(event, 'x-key-id');
+    const timestamp = parseInt(header(event, 'x-timestamp'), 10);
+    const key = keys.find(candidate => candidate.id === keyId);
+
+    if (!key) {
+      return { ok: false, statusCode: 401, error: 'Unknown or revoked key ID' };
+    }
+    if (!Number.isFinite(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > MAX_CLOCK_SKEW_SECONDS) {
+      return { ok: false, statusCode: 401, error: `Request timestamp missing or more than ${MAX_CLOCK_SKEW_SECONDS}s from server time` };
+    }
+
+    const body = event.body ? Buffer.from(event.body, event.isBase64Encoded ? 'base64' : 'utf-8') : null;
+    const expected = crypto.createHmac('sha256', key.secret)
+      .update(requestSigningPayload(timestamp, event.httpMethod || 'POST', event.path || '', body))
+      .digest('hex');
+
+    return safeEqual(expected, signature.toLowerCase())
+      ? { ok: true, keyId: key.id }
+      : { ok: false, statusCode: 401, error: 'Invalid request signature' };
+  }
+
+  const authorization = header(event, 'authorization') || '';
+  const apiKey = header(event, 'x-api-key') || (authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null);
+  if (!apiKey) {
+    return { ok: false, statusCode: 401, error: 'Missing API key or request signature' };
+  }
+
+  // Compare against every key so the response time does not reveal which IDs exist
+  const match = keys.reduce((found, key) => (safeEqual(key.secret, apiKey) ? key : found), null);
+  return match
+    ? { ok: true, keyId: match.id }
+    : { ok: false, statusCode: 401, error: 'Invalid or revoked API key' };
+}
+
+/**
+ * 401 response for a failed authenticateRequest() result.
+ */
+function unauthorizedResponse(result) {
+  return {
+    statusCode: result.statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      'WWW-Authenticate': 'Bearer realm="bccaptioner"'
+    },
+    body: JSON.stringify({ error: 'Unauthorized', code: 'UNAUTHORIZED', message: result.error })
+  };
+}
+
+// Image derivative query parameters, signed as part of an image URL so one URL cannot be re-sized or re-encoded at will
+const DERIVATIVE_PARAMS = ['w', 'format', 'q'];
+
+// Helper to list the derivative parameters a query carries as "w=540&format=webp", in a fixed order
+function derivativeParams(get) {
+  return DERIVATIVE_PARAMS
+    .filter(name => get(name) !== undefined && get(name) !== null)
+    .map(name => `${name}=${get(name)}`)
+    .join('&');
+}
+
+// Helper to compute an image URL signature over the file name (ID and extension), expiry and any derivative parameters
+function imageSignature(secret, fileName, expires, params = '') {
+  return crypto.createHmac('sha256', secret)
+    .update(params ? `${fileName}:${expires}:${params}` : `${fileName}:${expires}`)
+    .digest('hex');
+}
+
+/**
+ * Appends `expires` and `sig` query parameters to an image URL when IMAGE_URL_SECRET is set.
+ * The signature covers the file name in the URL's path (so a .jpg URL's signature does not open
+ * the .json metadata) and any derivative parameters already on the URL (`w`, `format`, `q`).
+ * Returns { url, expiresAt } (expiresAt is null when URLs are not signed).
+ */
+function signImageUrl(url, ttlSeconds = DEFAULT_URL_TTL_SECONDS) {
+  const secret = process.env.IMAGE_URL_SECRET;
+  if (!secret) return { url, expiresAt: null };
+
+  const expires = Math.floor(Date.now() / 1000) + Math.max(1, Math.round(ttlSeconds));
+  const { pathname, searchParams } = new URL(url);
+  const fileName = decodeURIComponent(pathname.slice(pathname.lastIndexOf('/') + 1));
+  const params = derivativeParams(name => searchParams.get(name));
+  const separator = url.includes('?') ? '&' : '?';
+  return {
+    url: `${url}${separator}expires=${expires}&sig=${imageSignature(secret, fileName, expires, params)}`,
+    expiresAt: new Date(expires * 1000).toISOString()
+  };
+}
+
+/**
+ * Checks an image request's `expires` / `sig` query parameters for `fileName` ("<id>.<extension>");
+ * the derivative parameters must be the ones that were signed. Unsigned requests pass unless
+ * REQUIRE_SIGNED_URLS is "true".
+ * Returns { ok: true } or { ok: false, statusCode, error }.
+ */
+function verifyImageSignature(fileName, query = {}) {
+  const secret = process.env.IMAGE_URL_SECRET;
+  const required = process.env.REQUIRE_SIGNED_URLS === 'true';
+
+  if (!query.sig && !query.expires) {
+    return required
+      ? { ok: false, statusCode: 403, error: 'Signed URL required' }
+      : { ok: true };
+  }
+  if (!secret) {
+    return { ok: false, statusCode: 403, error: 'Signed URLs are not configured' };
+  }
+
+  const expires = parseInt(query.expires, 10);
+  if (!Number.isFinite(expires) || expires < Date.now() / 1000) {
+    return { ok: false, statusCode: 403, error: 'Signed URL expired' };
+  }
+
+  const params = derivativeParams(name => query[name]);
+  return safeEqual(imageSignature(secret, fileName, expires, params), String(query.sig || '').toLowerCase())
+    ? { ok: true }
+    : { ok: false, statusCode: 403, error: 'Invalid URL signature' };
+}
+
+// Helper to compute a callback signature over "<timestamp>.<body>"
+function callbackSignature(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Headers that sign a webhook callback body with CALLBACK_SECRET:
+ *   X-Callback-Timestamp: <unix seconds>
+ *   X-Callback-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+ */
+function signCallback(body, timestamp = Math.floor(Date.now() / 1000)) {
+  return {
+    'X-Callback-Timestamp': String(timestamp),
+    'X-Callback-Signature': `sha256=${callbackSignature(process.env.CALLBACK_SECRET, timestamp, body)}`
+  };
+}
+
+/**
+ * Checks a received callback's signature headers against the raw body, for receivers written in
+ * Node. Timestamps more than MAX_CLOCK_SKEW_SECONDS from now are rejected, limiting replay.
+ * Returns { ok: true } or { ok: false, error }.
+ */
+function verifyCallbackSignature(headers, body, secret) {
+  const event = { headers };
+  const timestamp = parseInt(header(event, 'x-callback-timestamp'), 10);
+  const signature = String(header(event, 'x-callback-signature') || '').replace(/^sha256=/, '').toLowerCase();
+
+  if (!Number.isFinite(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > MAX_CLOCK_SKEW_SECONDS) {
+    return { ok: false, error: `Callback timestamp missing or more than ${MAX_CLOCK_SKEW_SECONDS}s from now` };
+  }
+  return safeEqual(callbackSignature(secret, timestamp, body), signature)
+    ? { ok: true }
+    : { ok: false, error: 'Invalid callback signature' };
+}
+
+module.exports = {
+  DEFAULT_URL_TTL_SECONDS,
+  loadApiKeys,
+  requestSigningPayload,
+  signRequest,
+  authenticateRequest,
+  unauthorizedResponse,
+  signImageUrl,
+  verifyImageSignature,
+  signCallback,
+  verifyCallbackSignature
+};
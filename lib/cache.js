@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const { OVERLAY_PREFIX, RENDER_PREFIX, isExpired, derivativePrefix } = require('./lifecycle');
+const { loadSidecar, saveSidecar } = require('./sidecar');
+
+// Bump when a renderer change should stop existing renders being reused
+const RENDER_VERSION = 5;
+
+// Helper to hash a buffer or string as hex SHA-256
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Deterministic key for one rendered output: the input image hash plus every parameter that
+ * affects the pixels (caption and its kicker, subtitle and credit, resolved template, preset, crop
+ * options, encoding, and the font actually used and any brand assets, both by content hash), plus the
+ * alt text and XMP embedding recorded with it (`metadata`). Identical requests map to the same key.
+ */
+function renderCacheKey({ inputHash, caption, template, presetName, preset, crop, focalPoint, captionPlacement, output, font, assets = [], text = {}, metadata = {} }) {
+  return sha256(JSON.stringify({
+    version: RENDER_VERSION,
+    inputHash,
+    caption,
+    text,
+    template,
+    preset: { name: presetName, ...preset },
+    crop,
+    focalPoint,
+    captionPlacement,
+    output,
+    font: { family: font.family, weight: font.weight, hash: font.hash || null },
+    assets: assets.map(({ data, ...asset }) => asset),
+    metadata
+  }));
+}
+
+/**
+ * Looks up a previous render by key. Returns { record, data } where `record` is what
+ * saveRender() stored, or null when there is none or its image blob was deleted or has expired.
+ * `withData` also reads the image bytes.
+ */
+async function lookupRender(store, renderKey, { withData = false } = {}) {
+  const index = await store.get(`${RENDER_PREFIX}${renderKey}`);
+  if (!index) return null;
+
+  let record;
+  try {
+    record = JSON.parse(index.toString('utf-8'));
+  } catch (error) {
+    return null;
+  }
+
+  const blobKey = `${OVERLAY_PREFIX}${record.imageId}.${record.extension}`;
+  const blob = withData ? await store.getWithMetadata(blobKey) : await store.getMetadata(blobKey);
+  if (!blob || isExpired(blob.metadata)) return null;
+
+  return { record, data: withData ? blob.data : null };
+}
+
+/**
+ * Records a stored render under its key so identical requests can reuse it.
+ */
+async function saveRender(store, renderKey, record) {
+  await store.set(`${RENDER_PREFIX}${renderKey}`, Buffer.from(JSON.stringify(record)), {
+    metadata: { imageId: record.imageId }
+  });
+}
+
+// Helper to tell whether expiry `a` is later than `b`; null never expires
+function laterExpiry(a, b) {
+  if (b === null || b === undefined) return false;
+  return a === null || a === undefined || new Date(a).getTime() > new Date(b).getTime();
+}
+
+/**
+ * Keeps a reused render for at least as long as the request reusing it asked: when `lifecycle`
+ * (that request's lifecycleMetadata()) expires later, the image blob, its derivatives, its metadata
+ * record and the render record are rewritten with its ttlDays and expiresAt. Expiry is never brought
+ * forward, as earlier callers may still rely on it. Returns the render record, updated when it was extended.
+ */
+async function extendRender(store, renderKey, record, lifecycle) {
+  if (!laterExpiry(lifecycle.expiresAt, record.expiresAt)) return record;
+
+  const blobKey = `${OVERLAY_PREFIX}${record.imageId}.${record.extension}`;
+  const blob = await store.getWithMetadata(blobKey);
+  if (!blob) return record;
+  const expiry = { ttlDays: lifecycle.ttlDays, expiresAt: lifecycle.expiresAt };
+  await store.set(blobKey, blob.data, { metadata: { ...blob.metadata, ...expiry } });
+
+  // Derivatives already rendered from the image carry its expiry too
+  const { blobs: derivatives } = await store.list({ prefix: derivativePrefix(blobKey) });
+  for (const { key } of derivatives) {
+    const derivative = await store.getWithMetadata(key);
+    if (derivative) await store.set(key, derivative.data, { metadata: { ...derivative.metadata, ...expiry } });
+  }
+
+  const sidecar = await loadSidecar(store, record.imageId);
+  if (sidecar) {
+    await saveSidecar(store, record.imageId, { ...sidecar.record, expiresAt: expiry.expiresAt }, {
+      createdAt: sidecar.metadata.createdAt,
+      expiresAt: expiry.expiresAt
+    });
+  }
+
+  const extended = { ...record, expiresAt: expiry.expiresAt };
+  await saveRender(store, renderKey, extended);
+  return extended;
+}
+
+module.exports = {
+  RENDER_PREFIX,
+  sha256,
+  renderCacheKey,
+  lookupRender,
+  saveRender,
+  extendRender
+};
@@ -0,0 +1,96 @@
+const { HttpError } = require('./errors');
+const { validateCaption } = require('./validate');
+const { isExpired } = require('./lifecycle');
+
+const CAROUSEL_PREFIX = 'carousels/';
+
+// Instagram takes up to 10 slides per carousel; CAROUSEL_MAX_SLIDES can raise or lower it
+const DEFAULT_MAX_SLIDES = 10;
+const MAX_BLOCKS = 50;
+
+// Body items starting with "-", "*" or "•" and a space are bullet points
+const BULLET_PATTERN = /^\s*[-*•]\s+/u;
+
+/**
+ * The most slides one carousel may have, cover included, from CAROUSEL_MAX_SLIDES (default 10).
+ */
+function maxSlides() {
+  const value = parseInt(process.env.CAROUSEL_MAX_SLIDES, 10);
+  return Number.isInteger(value) && value > 1 ? value : DEFAULT_MAX_SLIDES;
+}
+
+/**
+ * Reads a carousel's body text: an array of paragraphs or bullet points, or one string with
+ * paragraphs separated by blank lines. Items starting with "- ", "* " or "• " are bullet points,
+ * and `bullets` makes every item one. Each item is checked like a caption.
+ * Returns [{ text, bullet }]; throws an INVALID_OPTION HttpError when there is no body text.
+ */
+function parseBlocks(value, { bullets = false } = {}) {
+  const items = typeof value === 'string' ? value.split(/\n\s*\n/) : value;
+  if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) {
+    throw new HttpError(400, 'INVALID_OPTION', 'body must be an array of paragraphs or a string', { field: 'body' });
+  }
+
+  const blocks = items
+    .filter(item => item.trim())
+    .map(item => ({
+      text: validateCaption(item.replace(BULLET_PATTERN, ''), 'body'),
+      bullet: bullets || BULLET_PATTERN.test(item)
+    }));
+  if (!blocks.length) {
+    throw new HttpError(400, 'INVALID_OPTION', 'body needs at least one paragraph', { field: 'body' });
+  }
+  if (blocks.length > MAX_BLOCKS) {
+    throw new HttpError(400, 'INVALID_OPTION', `body can have at most ${MAX_BLOCKS} paragraphs`, { field: 'body', maxBlocks: MAX_BLOCKS });
+  }
+  return blocks;
+}
+
+// Helper to build the blob key of a carousel manifest
+function manifestKey(carouselId) {
+  return `${CAROUSEL_PREFIX}${carouselId}.json`;
+}
+
+/**
+ * Stores a carousel manifest, the ordered list of its slides, with the same expiry as the slides.
+ */
+async function saveManifest(store, manifest) {
+  await store.set(manifestKey(manifest.carouselId), Buffer.from(JSON.stringify(manifest)), {
+    metadata: { createdAt: manifest.createdAt, expiresAt: manifest.expiresAt, slides: manifest.slides.length }
+  });
+}
+
+/**
+ * Reads a carousel manifest. Returns { manifest, metadata }, or null when there is none.
+ */
+async function loadManifest(store, carouselId) {
+  const blob = await store.getWithMetadata(manifestKey(carouselId));
+  if (!blob) return null;
+  return { manifest: JSON.parse(blob.data.toString('utf-8')), metadata: blob.metadata || {} };
+}
+
+/**
+ * Deletes carousel manifests whose expiresAt metadata has passed; their slides expire with them
+ * and go with the other overlays. Returns the number deleted.
+ */
+async function purgeExpiredManifests(store, now = new Date()) {
+  const { blobs } = await store.list({ prefix: CAROUSEL_PREFIX });
+  let deleted = 0;
+  for (const { key } of blobs) {
+    const result = await store.getMetadata(key);
+    if (result && isExpired(result.metadata, now)) {
+      await store.delete(key);
+      deleted++;
+    }
+  }
+  return deleted;
+}
+
+module.exports = {
+  CAROUSEL_PREFIX,
+  maxSlides,
+  parseBlocks,
+  saveManifest,
+  loadManifest,
+  purgeExpiredManifests
+};
@@ -0,0 +1,23 @@
+/**
+ * Maps `items` through async `fn(item, index)` with at most `limit` calls in flight.
+ * Results keep the input order. `fn` is expected to handle its own errors; a rejection
+ * rejects the whole map, like Promise.all.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
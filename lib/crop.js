@@ -0,0 +1,158 @@
+const sharp = require('sharp');
+
+const CROP_MODES = ['center', 'attention', 'entropy', 'focal'];
+const CAPTION_PLACEMENTS = ['auto', 'fixed'];
+
+// Width of the greyscale grid used to estimate saliency under the caption
+const SALIENCY_GRID_WIDTH = 64;
+
+// A caption only moves when another position is at least this much less busy
+const PLACEMENT_THRESHOLD = 0.8;
+
+/**
+ * Parses a focal point given as "x,y" fractions of the source image (0–1), e.g. "0.5,0.3".
+ * Returns { x, y } or null when the value is missing or malformed.
+ */
+function parseFocalPoint(value) {
+  if (!value) return null;
+  const parts = String(value).split(',').map(part => parseFloat(part.trim()));
+  if (parts.length !== 2 || parts.some(n => !Number.isFinite(n) || n < 0 || n > 1)) return null;
+  return { x: parts[0], y: parts[1] };
+}
+
+/**
+ * Crops and resizes the source image to fill a preset.
+ * `center` matches the original blind crop; `attention` and `entropy` use sharp's smart-crop
+ * strategies; `focal` centres the crop on a focal point as far as the image edges allow.
+ *
+ * Returns the raw RGB(A) pixels, the crop rectangle in source pixels and, when known,
+ * the salient point in output pixels.
+ */
+async function cropToPreset(imageBuffer, preset, { crop = 'center', focalPoint = null } = {}) {
+  const { width: outputWidth, height: outputHeight } = preset;
+  const { width: sourceWidth, height: sourceHeight } = await sharp(imageBuffer).metadata();
+
+  // Cover scaling: the source is scaled until both dimensions fill the output
+  const scale = Math.max(outputWidth / sourceWidth, outputHeight / sourceHeight);
+  const cropWidth = outputWidth / scale;
+  const cropHeight = outputHeight / scale;
+
+  let pipeline;
+  let rect;
+  let focus = null;
+
+  if (crop === 'focal' && focalPoint) {
+    const left = Math.min(sourceWidth - cropWidth, Math.max(0, focalPoint.x * sourceWidth - cropWidth / 2));
+    const top = Math.min(sourceHeight - cropHeight, Math.max(0, focalPoint.y * sourceHeight - cropHeight / 2));
+    rect = { left: Math.round(left), top: Math.round(top), width: Math.round(cropWidth), height: Math.round(cropHeight) };
+    pipeline = sharp(imageBuffer)
+      .extract(rect)
+      .resize(outputWidth, outputHeight, { fit: 'cover', position: 'center', withoutEnlargement: false });
+    focus = {
+      x: Math.round((focalPoint.x * sourceWidth - left) * scale),
+      y: Math.round((focalPoint.y * sourceHeight - top) * scale)
+    };
+  } else {
+    const position = crop === 'attention' || crop === 'entropy' ? sharp.strategy[crop] : 'center';
+    pipeline = sharp(imageBuffer)
+      .resize(outputWidth, outputHeight, { fit: 'cover', position, withoutEnlargement: false });
+  }
+
+  const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+
+  if (!rect) {
+    // Strategy crops report a (negative) offset of the scaled image; centre crops are computed
+    const offsetLeft = info.cropOffsetLeft !== undefined ? -info.cropOffsetLeft / scale : (sourceWidth - cropWidth) / 2;
+    const offsetTop = info.cropOffsetTop !== undefined ? -info.cropOffsetTop / scale : (sourceHeight - cropHeight) / 2;
+    rect = { left: Math.round(offsetLeft), top: Math.round(offsetTop), width: Math.round(cropWidth), height: Math.round(cropHeight) };
+    if (crop === 'attention' && info.attentionX !== undefined) {
+      focus = { x: info.attentionX, y: info.attentionY };
+    }
+  }
+
+  return {
+    data,
+    raw: { width: info.width, height: info.height, channels: info.channels },
+    crop: { mode: crop, ...rect },
+    focus
+  };
+}
+
+/**
+ * Builds a coarse saliency map (edge energy of a downsampled greyscale copy) of raw output pixels.
+ */
+async function saliencyMap(data, raw) {
+  const gridWidth = Math.min(SALIENCY_GRID_WIDTH, raw.width);
+  const { data: grey, info } = await sharp(data, { raw })
+    .greyscale()
+    .resize(gridWidth)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const energy = new Float32Array(info.width * info.height);
+  for (let y = 0; y < info.height; y++) {
+    for (let x = 0; x < info.width; x++) {
+      const i = y * info.width + x;
+      const right = x + 1 < info.width ? grey[i + 1] : grey[i];
+      const below = y + 1 < info.height ? grey[i + info.width] : grey[i];
+      energy[i] = Math.abs(right - grey[i]) + Math.abs(below - grey[i]);
+    }
+  }
+
+  return { energy, width: info.width, height: info.height, scale: info.width / raw.width };
+}
+
+/**
+ * Scores how much salient content a rectangle (in output pixels) would cover.
+ * A known focus point inside the rectangle dominates the score.
+ */
+function regionSaliency(map, rect, focus) {
+  const x0 = Math.max(0, Math.floor(rect.left * map.scale));
+  const y0 = Math.max(0, Math.floor(rect.top * map.scale));
+  const x1 = Math.min(map.width, Math.ceil((rect.left + rect.width) * map.scale));
+  const y1 = Math.min(map.height, Math.ceil((rect.top + rect.height) * map.scale));
+
+  let total = 0;
+  let cells = 0;
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      total += map.energy[y * map.width + x];
+      cells++;
+    }
+  }
+  const score = cells ? total / cells : 0;
+
+  const coversFocus = focus
+    && focus.x >= rect.left && focus.x <= rect.left + rect.width
+    && focus.y >= rect.top && focus.y <= rect.top + rect.height;
+  return coversFocus ? score + 1000 : score;
+}
+
+/**
+ * Chooses between the template anchor and its top/bottom alternatives for a caption box,
+ * keeping the template anchor unless another position covers clearly less salient content.
+ * `positionFor(anchor)` returns the box's { left, top } for an anchor.
+ */
+function chooseCaptionAnchor(map, anchor, boxWidth, boxHeight, positionFor, focus) {
+  const horizontal = anchor === 'center' ? 'center' : anchor.split('-')[1] || 'center';
+  const candidates = [anchor, `top-${horizontal}`, `bottom-${horizontal}`]
+    .filter((candidate, i, all) => all.indexOf(candidate) === i)
+    .map(candidate => {
+      const { left, top } = positionFor(candidate);
+      return { anchor: candidate, left, top, score: regionSaliency(map, { left, top, width: boxWidth, height: boxHeight }, focus) };
+    });
+
+  const [initial] = candidates;
+  const best = candidates.reduce((a, b) => (b.score < a.score ? b : a));
+  return best.score < initial.score * PLACEMENT_THRESHOLD ? best : initial;
+}
+
+module.exports = {
+  CROP_MODES,
+  CAPTION_PLACEMENTS,
+  parseFocalPoint,
+  cropToPreset,
+  saliencyMap,
+  regionSaliency,
+  chooseCaptionAnchor
+};
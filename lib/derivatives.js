@@ -0,0 +1,140 @@
+const sharp = require('sharp');
+const { HttpError } = require('./errors');
+const { OUTPUT_FORMATS, FORMAT_ALIASES, encodeImage } = require('./encode');
+const { derivativePrefix } = require('./lifecycle');
+const { timeStage } = require('./log');
+
+// Derivative widths are bounded so a query string cannot ask for arbitrarily large or tiny images
+const MIN_DERIVATIVE_WIDTH = 16;
+const MAX_DERIVATIVE_WIDTH = 4096;
+
+// Requested widths and qualities snap to these, so each image has a small, fixed set of derivatives
+const DEFAULT_DERIVATIVE_WIDTHS = [240, 320, 480, 540, 640, 750, 1080, 1200, 1600, 2048];
+const DEFAULT_DERIVATIVE_QUALITIES = [50, 60, 70, 80, 90];
+
+// Helper to read a list of whole numbers within [min, max] from the environment, sorted
+function envSteps(name, fallback, min, max) {
+  const values = (process.env[name] || '').split(',')
+    .map(value => Number(value.trim()))
+    .filter(value => Number.isInteger(value) && value >= min && value <= max);
+  return values.length ? [...new Set(values)].sort((a, b) => a - b) : fallback;
+}
+
+/**
+ * Widths derivatives are rendered at, from DERIVATIVE_WIDTHS ("320,640,1080"; default 240 to 2048).
+ */
+function derivativeWidths() {
+  return envSteps('DERIVATIVE_WIDTHS', DEFAULT_DERIVATIVE_WIDTHS, MIN_DERIVATIVE_WIDTH, MAX_DERIVATIVE_WIDTH);
+}
+
+/**
+ * Qualities derivatives are encoded at, from DERIVATIVE_QUALITIES ("60,80"; default 50 to 90 in steps of 10).
+ */
+function derivativeQualities() {
+  return envSteps('DERIVATIVE_QUALITIES', DEFAULT_DERIVATIVE_QUALITIES, 1, 100);
+}
+
+/**
+ * Reads derivative options from an image URL's query: `w` (width in pixels, 16-4096), `format`
+ * (jpeg, png, webp, avif) and `q` (quality, 1-100). Widths snap up to the next of derivativeWidths()
+ * (or its largest) and qualities to the nearest of derivativeQualities(). Returns null when the
+ * query names none of them. Throws an INVALID_OPTION HttpError for values that cannot be used.
+ */
+function parseDerivativeOptions(query = {}) {
+  const { w, format: requested, q } = query;
+  if (!w && !requested && !q) return null;
+
+  let width;
+  if (w) {
+    width = Number(w);
+    if (!Number.isInteger(width) || width < MIN_DERIVATIVE_WIDTH || width > MAX_DERIVATIVE_WIDTH) {
+      throw new HttpError(400, 'INVALID_OPTION',
+        `w must be a whole number of pixels from ${MIN_DERIVATIVE_WIDTH} to ${MAX_DERIVATIVE_WIDTH}`, { field: 'w' });
+    }
+  }
+
+  let format;
+  if (requested) {
+    const name = requested.toLowerCase();
+    format = FORMAT_ALIASES[name] || name;
+    if (!OUTPUT_FORMATS[format]) {
+      throw new HttpError(400, 'INVALID_OPTION', `Unknown output format: ${requested}`, {
+        field: 'format',
+        formats: Object.keys(OUTPUT_FORMATS)
+      });
+    }
+  }
+
+  let quality;
+  if (q) {
+    quality = Number(q);
+    if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+      throw new HttpError(400, 'INVALID_OPTION', 'q must be a whole number from 1 to 100', { field: 'q' });
+    }
+  }
+
+  // Snap to the configured steps; ties between qualities go to the higher one
+  if (width) {
+    const widths = derivativeWidths();
+    width = widths.find(step => step >= width) || widths[widths.length - 1];
+  }
+  if (quality) {
+    quality = derivativeQualities().reduce((nearest, step) =>
+      (Math.abs(step - quality) <= Math.abs(nearest - quality) ? step : nearest));
+  }
+
+  return { width, format, quality };
+}
+
+/**
+ * Resolves derivative options against the stored master: widths are capped at the master's width
+ * (images are never enlarged) and the format defaults to the master's. Returns null when the result
+ * would be the master itself, otherwise { width, format, quality, key } with the derivative's blob key.
+ */
+function resolveDerivative(options, masterKey, masterFormat, masterMetadata = {}) {
+  if (!options) return null;
+
+  const width = options.width && masterMetadata.width && options.width >= masterMetadata.width
+    ? undefined
+    : options.width;
+  const format = options.format || masterFormat;
+  const { quality } = options;
+  if (!width && format === masterFormat && !quality) return null;
+
+  const name = [width ? `w${width}` : 'full', quality ? `q${quality}` : null].filter(Boolean).join('-');
+  return { width, format, quality, key: `${derivativePrefix(masterKey)}${name}.${OUTPUT_FORMATS[format].extension}` };
+}
+
+/**
+ * Resizes and re-encodes a stored master for a derivative from resolveDerivative().
+ * Returns { buffer, contentType, format, quality, width, height }.
+ */
+async function renderDerivative(master, { width, format, quality }) {
+  const { data, info } = await timeStage('render', () => {
+    const image = sharp(master);
+    return (width ? image.resize({ width, withoutEnlargement: true }) : image)
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+  });
+
+  const raw = { width: info.width, height: info.height, channels: info.channels };
+  const encoded = await timeStage('encode', () => encodeImage(data, raw, { format, quality }));
+  return {
+    buffer: encoded.buffer,
+    contentType: encoded.contentType,
+    format: encoded.format,
+    quality: encoded.quality,
+    width: info.width,
+    height: info.height
+  };
+}
+
+module.exports = {
+  MIN_DERIVATIVE_WIDTH,
+  MAX_DERIVATIVE_WIDTH,
+  derivativeWidths,
+  derivativeQualities,
+  parseDerivativeOptions,
+  resolveDerivative,
+  renderDerivative
+};
@@ -0,0 +1,177 @@
+const sharp = require('sharp');
+const { HttpError } = require('./errors');
+const { embedXmp } = require('./xmp');
+const { createLogger } = require('./log');
+
+const log = createLogger('encode');
+
+/**
+ * Output formats: file extension, content type and the quality used when the request gives none.
+ */
+const OUTPUT_FORMATS = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg', defaultQuality: 90 },
+  png: { extension: 'png', contentType: 'image/png', defaultQuality: 100 },
+  webp: { extension: 'webp', contentType: 'image/webp', defaultQuality: 85 },
+  avif: { extension: 'avif', contentType: 'image/avif', defaultQuality: 60 }
+};
+
+const DEFAULT_FORMAT = 'jpeg';
+const FORMAT_ALIASES = { jpg: 'jpeg' };
+
+// Budget encoding steps quality down by QUALITY_STEP and stops at MIN_QUALITY
+const QUALITY_STEP = 10;
+const MIN_QUALITY = 30;
+
+// Helper to read a boolean option ("true"/"false"/"1"/"0"); undefined when absent
+function parseBoolean(field, value) {
+  if (value === undefined || value === '') return undefined;
+  const normalized = String(value).toLowerCase();
+  if (normalized === 'true' || normalized === '1') return true;
+  if (normalized === 'false' || normalized === '0') return false;
+  throw new HttpError(400, 'INVALID_OPTION', `${field} must be true or false`, { field });
+}
+
+/**
+ * Reads the output options from a request: `format` (jpeg, png, webp, avif), `quality` (1-100),
+ * `progressive` and `mozjpeg` (JPEG only) and `maxBytes`, a file-size budget in bytes.
+ * `defaults.format` (e.g. negotiated from an Accept header) applies when the request names no format.
+ * Throws an INVALID_OPTION HttpError for values that cannot be used.
+ */
+function parseOutputOptions(readOption, defaults = {}) {
+  const requested = (readOption('format') || defaults.format || DEFAULT_FORMAT).toLowerCase();
+  const format = FORMAT_ALIASES[requested] || requested;
+  if (!OUTPUT_FORMATS[format]) {
+    throw new HttpError(400, 'INVALID_OPTION', `Unknown output format: ${requested}`, {
+      field: 'format',
+      formats: Object.keys(OUTPUT_FORMATS)
+    });
+  }
+
+  let quality;
+  if (readOption('quality')) {
+    quality = Number(readOption('quality'));
+    if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+      throw new HttpError(400, 'INVALID_OPTION', 'quality must be a whole number from 1 to 100', { field: 'quality' });
+    }
+  }
+
+  let maxBytes;
+  if (readOption('maxBytes')) {
+    maxBytes = Number(readOption('maxBytes'));
+    if (!Number.isInteger(maxBytes) || maxBytes < 1024) {
+      throw new HttpError(400, 'INVALID_OPTION', 'maxBytes must be a whole number of bytes, at least 1024', { field: 'maxBytes' });
+    }
+  }
+
+  return {
+    format,
+    quality,
+    progressive: parseBoolean('progressive', readOption('progressive')) || false,
+    mozjpeg: parseBoolean('mozjpeg', readOption('mozjpeg')) || false,
+    maxBytes
+  };
+}
+
+// Helper to encode raw pixels once at the given quality
+function encodeOnce(data, raw, { format, progressive, mozjpeg }, quality) {
+  const image = sharp(data, { raw });
+  switch (format) {
+    case 'png':
+      // PNG is lossless; below 100 the palette is quantised, which is what shrinks it
+      return (quality < 100
+        ? image.png({ palette: true, quality, compressionLevel: 9, progressive })
+        : image.png({ compressionLevel: 9, progressive })
+      ).toBuffer();
+    case 'webp':
+      return image.webp({ quality }).toBuffer();
+    case 'avif':
+      // sharp's default effort (4) takes several seconds per frame on one core, too slow for a function
+      return image.avif({ quality, effort: 2 }).toBuffer();
+    default:
+      return image.jpeg({ quality, progressive, mozjpeg }).toBuffer();
+  }
+}
+
+// Helper to encode once and embed the XMP fields, if any, so the budget counts the final bytes
+async function encodeWithXmp(data, raw, output, quality) {
+  const buffer = await encodeOnce(data, raw, output, quality);
+  return output.xmp
+    ? embedXmp(buffer, output.format, output.xmp, { width: raw.width, height: raw.height })
+    : { buffer, embedded: false };
+}
+
+/**
+ * Encodes raw pixels in the requested output format. With a `maxBytes` budget, quality is
+ * stepped down until the file fits or MIN_QUALITY is reached. `xmp` fields (see xmpFields())
+ * are embedded before the size is checked.
+ * Returns { buffer, format, extension, contentType, quality, withinBudget, embedded }.
+ */
+async function encodeImage(data, raw, output) {
+  const { extension, contentType, defaultQuality } = OUTPUT_FORMATS[output.format];
+  let quality = output.quality || defaultQuality;
+  let { buffer, embedded } = await encodeWithXmp(data, raw, output, quality);
+
+  while (output.maxBytes && buffer.length > output.maxBytes && quality > MIN_QUALITY) {
+    quality = Math.max(MIN_QUALITY, quality - QUALITY_STEP);
+    ({ buffer, embedded } = await encodeWithXmp(data, raw, output, quality));
+    log.debug('Re-encoded for size budget', { format: output.format, quality, size: buffer.length, maxBytes: output.maxBytes });
+  }
+
+  return {
+    buffer,
+    format: output.format,
+    extension,
+    contentType,
+    quality,
+    withinBudget: !output.maxBytes || buffer.length <= output.maxBytes,
+    embedded
+  };
+}
+
+/**
+ * Parses an Accept header into [{ type, q }], highest preference first.
+ */
+function parseAccept(accept) {
+  return String(accept || '')
+    .split(',')
+    .map((entry, index) => {
+      const [type, ...params] = entry.split(';').map(part => part.trim().toLowerCase());
+      const qParam = params.find(param => param.startsWith('q='));
+      const q = qParam ? parseFloat(qParam.slice(2)) : 1;
+      return { type, q: Number.isFinite(q) ? q : 0, index };
+    })
+    .filter(entry => entry.type && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ type, q }) => ({ type, q }));
+}
+
+/**
+ * The most preferred output format named in an Accept header, or null when it names none
+ * (image/* leaves the choice to the server).
+ */
+function formatFromAccept(accept) {
+  for (const { type } of parseAccept(accept)) {
+    const format = Object.keys(OUTPUT_FORMATS).find(name => OUTPUT_FORMATS[name].contentType === type);
+    if (format) return format;
+  }
+  return null;
+}
+
+/**
+ * Maps a stored file extension (jpg, png, webp, avif) back to its output format, or null.
+ */
+function formatFromExtension(extension) {
+  const name = String(extension || '').toLowerCase();
+  return Object.keys(OUTPUT_FORMATS).find(format => OUTPUT_FORMATS[format].extension === name) || null;
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  DEFAULT_FORMAT,
+  FORMAT_ALIASES,
+  parseOutputOptions,
+  encodeImage,
+  parseAccept,
+  formatFromAccept,
+  formatFromExtension
+};
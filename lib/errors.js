@@ -0,0 +1,29 @@
+/**
+ * Error that maps onto a 4xx/5xx response. `code` is a stable machine-readable reason that
+ * callers (e.g. an n8n error branch) can switch on; `details` are merged into the response body.
+ */
+class HttpError extends Error {
+  constructor(statusCode, code, message, details = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * JSON response for an HttpError: { error, code, ...details }.
+ */
+function errorResponse(err, headers = {}) {
+  return {
+    statusCode: err.statusCode,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ error: err.message, code: err.code, ...err.details })
+  };
+}
+
+module.exports = {
+  HttpError,
+  errorResponse
+};
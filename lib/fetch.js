@@ -0,0 +1,304 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const { HttpError } = require('./errors');
+const { createLogger } = require('./log');
+
+const log = createLogger('fetch');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_IMAGE_BYTES = 15 * 1024 * 1024;
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const USER_AGENT = 'bcCaptioner/1.0 (+https://bccaptioner.netlify.app)';
+
+const IMAGE_CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif', 'image/tiff'];
+
+// Loopback, private, link-local, site-local, CGNAT and other non-public ranges, and the NAT64 and 6to4
+// prefixes that can reach them
+const privateRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['2002::', 16], ['fc00::', 7], ['fe80::', 10],
+  ['fec0::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Error raised while fetching a remote image or page. `statusCode` is the HTTP status the
+ * overlay function should answer with and `code` a machine-readable reason.
+ */
+class FetchError extends HttpError {
+  constructor(message, statusCode, code) {
+    super(statusCode, code, message);
+    this.name = 'FetchError';
+  }
+}
+
+/**
+ * Whether an IP address is loopback, private or otherwise not publicly routable.
+ */
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (!family) return true;
+  return privateRanges.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Local harnesses point at 127.0.0.1 stand-ins; never enable this in production
+function privateFetchAllowed() {
+  return process.env.ALLOW_PRIVATE_FETCH === 'true';
+}
+
+// dns.lookup replacement that refuses to connect to private addresses, checked at connect time
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = !privateFetchAllowed() && addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(new FetchError(`Refusing to fetch from private address ${blocked.address}`, 400, 'URL_BLOCKED'));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Parses and checks a remote http(s) URL before any connection is made: no other protocols, no
+ * credentials and no private IP literals (hostnames are checked again when they resolve).
+ * Throws a FetchError with code INVALID_URL or URL_BLOCKED.
+ */
+function parseRemoteUrl(value, base) {
+  let url;
+  try {
+    url = new URL(value, base);
+  } catch (error) {
+    throw new FetchError(`Invalid URL: ${value}`, 400, 'INVALID_URL');
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new FetchError(`Only http and https URLs are supported: ${url.protocol}`, 400, 'INVALID_URL');
+  }
+  if (url.username || url.password) {
+    throw new FetchError('URLs with credentials are not supported', 400, 'INVALID_URL');
+  }
+
+  // IP literals skip the lookup hook, so check them here
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && !privateFetchAllowed() && isPrivateAddress(hostname)) {
+    throw new FetchError(`Refusing to fetch from private address ${hostname}`, 400, 'URL_BLOCKED');
+  }
+  return url;
+}
+
+// Helper to perform one GET without following redirects
+function getOnce(url, { deadline, maxBytes, accept }) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      return reject(new FetchError(`Timed out fetching ${url.href}`, 504, 'FETCH_TIMEOUT'));
+    }
+
+    const request = client.get(url, {
+      headers: { 'User-Agent': USER_AGENT, 'Accept': accept },
+      lookup: safeLookup
+    }, (response) => {
+      const { statusCode, headers } = response;
+
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        return resolve({ redirect: headers.location });
+      }
+      if (statusCode !== 200) {
+        response.resume();
+        return reject(new FetchError(`Fetching ${url.href} returned HTTP ${statusCode}`, 502, 'FETCH_FAILED'));
+      }
+
+      const declaredLength = parseInt(headers['content-length'], 10);
+      if (declaredLength > maxBytes) {
+        response.destroy();
+        return reject(new FetchError(`Remote file is ${declaredLength} bytes, limit is ${maxBytes}`, 413, 'REMOTE_TOO_LARGE'));
+      }
+
+      const chunks = [];
+      let received = 0;
+      response.on('data', (chunk) => {
+        received += chunk.length;
+        if (received > maxBytes) {
+          response.destroy();
+          reject(new FetchError(`Remote file exceeds ${maxBytes} bytes`, 413, 'REMOTE_TOO_LARGE'));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => resolve({
+        body: Buffer.concat(chunks),
+        contentType: (headers['content-type'] || '').split(';')[0].trim().toLowerCase()
+      }));
+      response.on('error', reject);
+    });
+
+    const timer = setTimeout(() => {
+      request.destroy(new FetchError(`Timed out fetching ${url.href}`, 504, 'FETCH_TIMEOUT'));
+    }, remaining);
+    request.on('close', () => clearTimeout(timer));
+    request.on('error', (error) => {
+      reject(error instanceof FetchError ? error : new FetchError(`Could not fetch ${url.href}: ${error.message}`, 502, 'FETCH_FAILED'));
+    });
+  });
+}
+
+// Helper to GET a URL, following and re-validating up to MAX_REDIRECTS redirects
+async function fetchRemote(value, { timeoutMs, maxBytes, accept }) {
+  const deadline = Date.now() + timeoutMs;
+  let url = parseRemoteUrl(value);
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const result = await getOnce(url, { deadline, maxBytes, accept });
+    if (!result.redirect) return { ...result, url: url.href };
+    url = parseRemoteUrl(result.redirect, url);
+  }
+  throw new FetchError(`Too many redirects fetching ${value}`, 502, 'FETCH_FAILED');
+}
+
+/**
+ * Downloads an image from a public http(s) URL.
+ * Limits come from FETCH_TIMEOUT_MS and FETCH_MAX_BYTES unless passed in.
+ * Resolves to { buffer, contentType, url }.
+ */
+async function fetchImage(imageUrl, {
+  timeoutMs = parseInt(process.env.FETCH_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS,
+  maxBytes = parseInt(process.env.FETCH_MAX_BYTES, 10) || DEFAULT_MAX_IMAGE_BYTES
+} = {}) {
+  const result = await fetchRemote(imageUrl, { timeoutMs, maxBytes, accept: IMAGE_CONTENT_TYPES.join(', ') });
+  if (!IMAGE_CONTENT_TYPES.includes(result.contentType)) {
+    throw new FetchError(`Expected an image but ${result.url} is ${result.contentType || 'untyped'}`, 415, 'UNSUPPORTED_REMOTE_TYPE');
+  }
+  log.info('Downloaded image', { url: result.url, size: result.body.length, contentType: result.contentType });
+  return { buffer: result.body, contentType: result.contentType, url: result.url };
+}
+
+/**
+ * POSTs a JSON payload to an http(s) URL, without following redirects; used for job callbacks.
+ * Private addresses are refused as for fetches unless `allowPrivate` is set, which is only for the
+ * site's own URL. Resolves to { statusCode } for any HTTP response and rejects with a FetchError
+ * when none arrives within `timeoutMs`.
+ */
+function postJson(value, payload, { headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS, allowPrivate = false } = {}) {
+  const url = allowPrivate ? new URL(value) : parseRemoteUrl(value);
+  const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.request(url, {
+      method: 'POST',
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        ...headers
+      },
+      ...(!allowPrivate && { lookup: safeLookup })
+    }, (response) => {
+      // Only the status matters; the body is drained and dropped
+      response.resume();
+      response.on('end', () => resolve({ statusCode: response.statusCode }));
+      response.on('error', reject);
+    });
+
+    const timer = setTimeout(() => {
+      request.destroy(new FetchError(`Timed out posting to ${url.href}`, 504, 'FETCH_TIMEOUT'));
+    }, timeoutMs);
+    request.on('close', () => clearTimeout(timer));
+    request.on('error', (error) => {
+      reject(error instanceof FetchError ? error : new FetchError(`Could not post to ${url.href}: ${error.message}`, 502, 'FETCH_FAILED'));
+    });
+    request.end(body);
+  });
+}
+
+// Helper to turn a numeric character reference into text; NUL, surrogates and anything past
+// U+10FFFF become U+FFFD, as browsers do
+function characterReference(codePoint) {
+  const valid = codePoint > 0 && codePoint <= 0x10ffff && !(codePoint >= 0xd800 && codePoint <= 0xdfff);
+  return String.fromCodePoint(valid ? codePoint : 0xfffd);
+}
+
+// Helper to decode the HTML entities that commonly appear in titles
+function decodeEntities(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => characterReference(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => characterReference(parseInt(dec, 10)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;|&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Extracts og:image / og:title (falling back to twitter: tags and <title>) from page HTML.
+ * Relative image URLs are resolved against pageUrl.
+ */
+function parseOpenGraph(html, pageUrl) {
+  const meta = {};
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const key = /\b(?:property|name)\s*=\s*["']([^"']+)["']/i.exec(tag);
+    const content = /\bcontent\s*=\s*(?:"([^"]*)"|'([^']*)')/i.exec(tag);
+    if (key && content) {
+      const name = key[1].toLowerCase();
+      if (!(name in meta)) meta[name] = decodeEntities(content[1] !== undefined ? content[1] : content[2]).trim();
+    }
+  }
+
+  const titleTag = /<title[^>]*>([^<]*)<\/title>/i.exec(html);
+  const image = meta['og:image:secure_url'] || meta['og:image'] || meta['og:image:url'] || meta['twitter:image'];
+  const title = meta['og:title'] || meta['twitter:title'] || (titleTag && decodeEntities(titleTag[1]).trim());
+
+  let imageUrl = null;
+  if (image) {
+    try {
+      imageUrl = new URL(image, pageUrl).href;
+    } catch (error) {
+      imageUrl = null;
+    }
+  }
+  return { imageUrl, title: title || null };
+}
+
+/**
+ * Fetches a page and reads its Open Graph image and title.
+ * Resolves to { imageUrl, title, pageUrl }; throws FetchError when the page has no og:image.
+ */
+async function fetchPageMetadata(pageUrl, {
+  timeoutMs = parseInt(process.env.FETCH_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS
+} = {}) {
+  const result = await fetchRemote(pageUrl, { timeoutMs, maxBytes: MAX_PAGE_BYTES, accept: 'text/html, application/xhtml+xml' });
+  if (result.contentType !== 'text/html' && result.contentType !== 'application/xhtml+xml') {
+    throw new FetchError(`Expected an HTML page but ${result.url} is ${result.contentType || 'untyped'}`, 415, 'UNSUPPORTED_REMOTE_TYPE');
+  }
+
+  const { imageUrl, title } = parseOpenGraph(result.body.toString('utf-8'), result.url);
+  if (!imageUrl) {
+    throw new FetchError(`No og:image found on ${result.url}`, 422, 'NO_OG_IMAGE');
+  }
+  log.info('Read page metadata', { url: result.url, imageUrl, title: title || null });
+  return { imageUrl, title, pageUrl: result.url };
+}
+
+module.exports = {
+  FetchError,
+  isPrivateAddress,
+  parseRemoteUrl,
+  parseOpenGraph,
+  fetchImage,
+  fetchPageMetadata,
+  postJson
+};
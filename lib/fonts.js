@@ -0,0 +1,273 @@
+const { GlobalFonts } = require('@napi-rs/canvas');
+const path = require('path');
+const fs = require('fs').promises;
+const { sha256 } = require('./cache');
+const { createLogger } = require('./log');
+
+const log = createLogger('fonts');
+
+const FONTS_DIR = path.join(__dirname, '..', 'fonts');
+const FONT_EXTENSIONS = ['.ttf', '.otf', '.woff', '.woff2'];
+
+// Brand fonts live in the blob store under this prefix, keyed by their name
+const BRAND_FONT_PREFIX = 'fonts/';
+
+// Tried in order when the requested family is not available
+const FALLBACK_FAMILIES = ['Open Sans', 'Roboto Condensed'];
+
+// Appended to every canvas font list so characters missing from the caption font (accented Latin,
+// Greek, Cyrillic, Arabic, Hebrew, CJK and emoji) are drawn from the fallback fonts instead of as tofu
+const SCRIPT_FALLBACK_FAMILIES = ['Noto Sans', 'Noto Sans Arabic', 'Noto Sans Hebrew', 'Noto Sans JP', 'Noto Color Emoji'];
+
+// The script fallbacks come from their npm packages rather than the repo, as [package, file] pairs.
+// Keep this list in step with included_files in netlify.toml so the files are bundled.
+const FALLBACK_FONT_FILES = [
+  ['@expo-google-fonts/noto-sans', '400Regular/NotoSans_400Regular.ttf'],
+  ['@expo-google-fonts/noto-sans', '700Bold/NotoSans_700Bold.ttf'],
+  ['@expo-google-fonts/noto-sans-arabic', '400Regular/NotoSansArabic_400Regular.ttf'],
+  ['@expo-google-fonts/noto-sans-arabic', '700Bold/NotoSansArabic_700Bold.ttf'],
+  ['@expo-google-fonts/noto-sans-hebrew', '400Regular/NotoSansHebrew_400Regular.ttf'],
+  ['@expo-google-fonts/noto-sans-hebrew', '700Bold/NotoSansHebrew_700Bold.ttf'],
+  ['@expo-google-fonts/noto-sans-jp', '400Regular/NotoSansJP_400Regular.ttf'],
+  ['@fontsource/noto-color-emoji', 'files/noto-color-emoji-emoji-400-normal.woff2']
+];
+
+// Weight keywords in bundled file names, e.g. RobotoCondensed-Bold.ttf
+const WEIGHT_NAMES = {
+  thin: 100, extralight: 200, light: 300, regular: 400, medium: 500,
+  semibold: 600, bold: 700, extrabold: 800, black: 900
+};
+
+let registryPromise = null;
+// Registered brand fonts: name -> { hash, alias, fontKey }, fontKey null when the bytes would not register
+const brandFonts = new Map();
+
+// Helper to snapshot registered families as family -> [weights]
+function familyWeights() {
+  const families = {};
+  for (const { family, styles } of GlobalFonts.families) {
+    families[family] = (styles || []).map(style => style.weight);
+  }
+  return families;
+}
+
+// Helper to guess a weight from a font file name, defaulting to regular
+function weightFromFileName(file) {
+  const suffix = path.basename(file, path.extname(file)).split('-').pop().toLowerCase();
+  return WEIGHT_NAMES[suffix] || 400;
+}
+
+// Helper to check the first bytes of a buffer look like a TrueType/OpenType/WOFF font
+function isFontData(buffer) {
+  if (!buffer || buffer.length < 4) return false;
+  const signature = buffer.subarray(0, 4);
+  return signature.equals(Buffer.from([0x00, 0x01, 0x00, 0x00]))
+    || ['OTTO', 'true', 'wOFF', 'wOF2'].includes(signature.toString('latin1'));
+}
+
+// Helper to work out which family/weight a registration added
+function registeredFace(before, after, file) {
+  for (const [family, weights] of Object.entries(after)) {
+    const added = weights.filter(weight => !(before[family] || []).includes(weight));
+    if (!before[family] || added.length) {
+      return { family, weight: added[0] || weights[0] || weightFromFileName(file) };
+    }
+  }
+  return null;
+}
+
+// Helper to register one font file, recording the result in `fonts` or `failed`
+async function registerFile(fontPath, source, fonts, failed) {
+  const file = path.basename(fontPath);
+  try {
+    const data = await fs.readFile(fontPath);
+    if (!isFontData(data)) {
+      failed.push({ file, reason: 'Not a font file' });
+      return;
+    }
+
+    const before = familyWeights();
+    if (!GlobalFonts.registerFromPath(fontPath)) {
+      failed.push({ file, reason: 'Registration failed' });
+      return;
+    }
+
+    const face = registeredFace(before, familyWeights(), file)
+      || { family: path.basename(file, path.extname(file)).split('-')[0], weight: weightFromFileName(file) };
+    fonts.push({ ...face, file, source, hash: sha256(data) });
+  } catch (error) {
+    failed.push({ file, reason: error.message });
+  }
+}
+
+// Helper to register every font file in a directory
+async function registerDirectory(dir, source, fonts, failed) {
+  let files = [];
+  try {
+    files = (await fs.readdir(dir)).filter(file => FONT_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+  } catch (error) {
+    log.warn('Could not read font directory', { dir, error: error.message });
+  }
+
+  for (const file of files.sort()) {
+    await registerFile(path.join(dir, file), source, fonts, failed);
+  }
+}
+
+// Helper to find a file inside an installed package. Resolves the package's entry point (at the root
+// of each fallback package) since packages with an exports map, like @fontsource, hide their font files
+function packageFilePath(packageName, file) {
+  return path.join(path.dirname(require.resolve(packageName)), file);
+}
+
+// Helper to register the script fallback fonts from their packages
+async function registerFallbacks(fonts, failed) {
+  for (const [packageName, file] of FALLBACK_FONT_FILES) {
+    let fontPath;
+    try {
+      fontPath = packageFilePath(packageName, file);
+    } catch (error) {
+      failed.push({ file: path.basename(file), reason: `Package ${packageName} is not installed` });
+      continue;
+    }
+    await registerFile(fontPath, 'fallback', fonts, failed);
+  }
+}
+
+/**
+ * Registers every font in fonts/ and the script fallbacks in FALLBACK_FONT_FILES once per cold start.
+ * Resolves to { fonts: [{ family, weight, file, source, hash }], failed: [{ file, reason }] }.
+ */
+function loadFontRegistry() {
+  if (registryPromise) return registryPromise;
+
+  registryPromise = (async () => {
+    const fonts = [];
+    const failed = [];
+
+    await registerDirectory(FONTS_DIR, 'bundled', fonts, failed);
+    await registerFallbacks(fonts, failed);
+
+    log.info('Registered fonts', { fonts: fonts.map(font => `${font.family} ${font.weight}`) });
+    if (failed.length) {
+      log.warn('Skipped font files', { failed });
+    }
+
+    return { fonts, failed };
+  })();
+
+  return registryPromise;
+}
+
+/**
+ * Registers a brand font uploaded to the store under fonts/<name>. The font's content hash (saved
+ * as `hash` metadata at upload, or computed from the bytes) is checked on every call, and each
+ * version is registered under its own alias, "<name> <hash prefix>", so a font re-uploaded under
+ * the same name is drawn instead of the one registered before it.
+ * Returns { alias, hash } when the font is available, otherwise null.
+ */
+async function loadBrandFont(store, name) {
+  if (!store || !/^[a-z0-9 _-]+$/i.test(name)) return null;
+
+  const key = `${BRAND_FONT_PREFIX}${name}`;
+  const registered = brandFonts.get(name);
+  const head = await store.getMetadata(key);
+  if (!head) {
+    if (registered && registered.fontKey) GlobalFonts.remove(registered.fontKey);
+    brandFonts.delete(name);
+    return null;
+  }
+
+  let hash = head.metadata && head.metadata.hash;
+  let data = null;
+  if (!hash) {
+    data = await store.get(key);
+    if (!data) return null;
+    hash = sha256(data);
+  }
+  if (registered && registered.hash === hash) {
+    return registered.fontKey ? { alias: registered.alias, hash } : null;
+  }
+
+  data = data || await store.get(key);
+  if (!data) return null;
+  if (registered && registered.fontKey) GlobalFonts.remove(registered.fontKey);
+  const alias = `${name} ${hash.slice(0, 12)}`;
+  const fontKey = isFontData(data) ? GlobalFonts.register(data, alias) : null;
+  if (fontKey) {
+    log.info('Registered brand font', { name, hash, replaced: !!registered });
+  } else {
+    log.warn('Brand font could not be registered', { name });
+  }
+
+  brandFonts.set(name, { hash, alias, fontKey });
+  return fontKey ? { alias, hash } : null;
+}
+
+// Helper to pick the available weight closest to the requested one
+function nearestWeight(weights, weight) {
+  if (!weights.length) return weight;
+  return weights.reduce((best, candidate) =>
+    Math.abs(candidate - weight) < Math.abs(best - weight) ? candidate : best);
+}
+
+/**
+ * Resolves a family and weight to a registered font, walking the fallback chain when needed.
+ * Brand fonts are looked up in `store` when the family is not bundled.
+ *
+ * Returns { family, alias, weight, hash, requested, fallback, chain, scriptFallbacks } where
+ * `alias` is the name to draw `family` with (see loadBrandFont()), `hash` the content hash of the
+ * font file used (null for system fonts) and `chain` lists each family tried and whether it was
+ * available; `family` is null only when nothing in the chain is registered. `scriptFallbacks` are
+ * the registered per-glyph fallbacks to list after `family`.
+ */
+async function resolveFont(family, weight = 400, { store } = {}) {
+  const registry = await loadFontRegistry();
+
+  const requested = { family, weight };
+  const candidates = [family, ...FALLBACK_FAMILIES].filter((name, i, all) => name && all.indexOf(name) === i);
+  const chain = [];
+  const scriptFallbacks = SCRIPT_FALLBACK_FAMILIES.filter(name => GlobalFonts.has(name));
+
+  for (const candidate of candidates) {
+    const bundled = registry.fonts.filter(font => font.family === candidate);
+    let brand = null;
+    if (!bundled.length && candidate === family) {
+      try {
+        brand = await loadBrandFont(store, candidate);
+      } catch (error) {
+        log.warn('Brand font lookup failed', { family: candidate, error: error.message });
+      }
+    }
+    const available = !!brand || GlobalFonts.has(candidate);
+    chain.push({ family: candidate, available });
+
+    if (available) {
+      const alias = brand ? brand.alias : candidate;
+      const resolvedWeight = nearestWeight(familyWeights()[alias] || [], weight);
+      const face = bundled.find(font => font.weight === resolvedWeight);
+      return {
+        family: candidate,
+        alias,
+        weight: resolvedWeight,
+        hash: brand ? brand.hash : (face && face.hash) || null,
+        requested,
+        fallback: candidate !== family,
+        chain,
+        scriptFallbacks: scriptFallbacks.filter(name => name !== candidate)
+      };
+    }
+  }
+
+  return { family: null, alias: null, weight, hash: null, requested, fallback: true, chain, scriptFallbacks };
+}
+
+module.exports = {
+  BRAND_FONT_PREFIX,
+  FALLBACK_FAMILIES,
+  SCRIPT_FALLBACK_FAMILIES,
+  loadFontRegistry,
+  loadBrandFont,
+  resolveFont,
+  isFontData
+};
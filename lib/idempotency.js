@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const { FIELD_RULES } = require('./templates');
+
+const IDEMPOTENCY_PREFIX = 'idempotency/';
+const DEFAULT_TTL_HOURS = 24;
+
+// A pending record older than this belongs to a request that died mid-render
+const PENDING_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Options the overlay function reads, plus every template field that can be overridden per request
+const OPTION_FIELDS = [
+  'caption', 'kicker', 'subtitle', 'credit', 'altText', 'template', 'preset', 'presets', 'focalPoint', 'crop',
+  'captionPlacement', 'assets', 'response', 'store', 'preview', 'embedMetadata', 'format', 'quality', 'maxBytes',
+  'progressive', 'mozjpeg', 'ttlDays', 'signedUrl', 'urlTtl', 'async', 'callbackUrl', 'imageUrl', 'pageUrl', 'cache',
+  ...Object.keys(FIELD_RULES)
+];
+
+// Only these headers define a request; request IDs, proxies and credentials change between retries
+const OPTION_HEADERS = new Set([
+  'content-type',
+  'accept',
+  ...OPTION_FIELDS.map(field => `x-${field.replace(/[A-Z]/g, c => '-' + c.toLowerCase())}`)
+]);
+
+/**
+ * The headers of `headers` that carry request options (see OPTION_HEADERS), with their names as given.
+ */
+function optionHeaders(headers = {}) {
+  return Object.fromEntries(Object.entries(headers).filter(([name]) => OPTION_HEADERS.has(name.toLowerCase())));
+}
+
+/**
+ * How long idempotency records are kept, from IDEMPOTENCY_TTL_HOURS (default 24).
+ */
+function idempotencyTtlMs() {
+  const hours = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+}
+
+/**
+ * Hash of everything that defines a request: method, path, query, body and the option headers.
+ * Retrying with the same Idempotency-Key must reproduce it.
+ */
+function requestFingerprint(event) {
+  const headers = Object.entries(optionHeaders(event.headers))
+    .map(([name, value]) => [name.toLowerCase(), String(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const query = Object.entries(event.queryStringParameters || {}).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ method: event.httpMethod || 'POST', path: event.path || '', query, headers }))
+    .update(event.body || '')
+    .digest('hex');
+}
+
+// Helper to build the blob key for a caller's idempotency key
+function recordKey(scope, idempotencyKey) {
+  const hash = crypto.createHash('sha256').update(idempotencyKey).digest('hex');
+  return `${IDEMPOTENCY_PREFIX}${scope || 'public'}/${hash}`;
+}
+
+/**
+ * Starts an idempotent request. Keys are scoped per API key ID so callers cannot replay each other.
+ * Returns one of:
+ *   { status: 'started', key }                  -- first time; call completeIdempotent() or abandonIdempotent()
+ *   { status: 'replay', response, completedAt } -- already completed with the same request
+ *   { status: 'in-progress' }                   -- the same key is still being processed
+ *   { status: 'mismatch' }                      -- the key was used for a different request
+ * Storage has no conditional writes, so two simultaneous first requests can both start.
+ */
+async function beginIdempotent(store, scope, idempotencyKey, fingerprint) {
+  const key = recordKey(scope, idempotencyKey);
+  const existing = await store.getWithMetadata(key);
+  const now = Date.now();
+
+  if (existing && existing.metadata && new Date(existing.metadata.expiresAt).getTime() > now) {
+    const { metadata } = existing;
+    if (metadata.fingerprint !== fingerprint) return { status: 'mismatch' };
+    if (metadata.state === 'completed') {
+      return { status: 'replay', response: JSON.parse(existing.data.toString('utf-8')), completedAt: metadata.completedAt };
+    }
+    if (now - new Date(metadata.startedAt).getTime() < PENDING_TIMEOUT_MS) {
+      return { status: 'in-progress' };
+    }
+  }
+
+  await store.set(key, Buffer.from('{}'), {
+    metadata: {
+      state: 'pending',
+      fingerprint,
+      startedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + idempotencyTtlMs()).toISOString()
+    }
+  });
+  return { status: 'started', key };
+}
+
+/**
+ * Stores the final response so retries with the same key replay it.
+ */
+async function completeIdempotent(store, key, fingerprint, response) {
+  const now = Date.now();
+  await store.set(key, Buffer.from(JSON.stringify(response)), {
+    metadata: {
+      state: 'completed',
+      fingerprint,
+      completedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + idempotencyTtlMs()).toISOString()
+    }
+  });
+}
+
+/**
+ * Drops a pending record after a failure so the caller can retry with the same key.
+ */
+async function abandonIdempotent(store, key) {
+  await store.delete(key);
+}
+
+/**
+ * Deletes idempotency records past their expiresAt. Returns how many were removed.
+ */
+async function purgeIdempotencyRecords(store, now = new Date()) {
+  const { blobs } = await store.list({ prefix: IDEMPOTENCY_PREFIX });
+  let deleted = 0;
+  for (const { key } of blobs) {
+    const result = await store.getMetadata(key);
+    if (!result || !result.metadata || new Date(result.metadata.expiresAt).getTime() <= now.getTime()) {
+      await store.delete(key);
+      deleted++;
+    }
+  }
+  return deleted;
+}
+
+module.exports = {
+  IDEMPOTENCY_PREFIX,
+  OPTION_HEADERS,
+  optionHeaders,
+  requestFingerprint,
+  beginIdempotent,
+  completeIdempotent,
+  abandonIdempotent,
+  purgeIdempotencyRecords
+};
@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+const { optionHeaders } = require('./idempotency');
+const { signCallback, signRequest } = require('./auth');
+const { postJson } = require('./fetch');
+const { createLogger } = require('./log');
+
+const log = createLogger('jobs');
+
+const JOB_PREFIX = 'jobs/';
+const DEFAULT_TTL_HOURS = 24;
+
+// Job IDs are a creation timestamp and 64 random bits, so they cannot be guessed from each other
+const JOB_ID_PATTERN = /^\d+-[0-9a-f]{16}$/;
+
+// Callbacks are retried with exponential backoff: 1s, 2s, 4s, ... capped at 30s between attempts
+const DEFAULT_CALLBACK_ATTEMPTS = 5;
+const CALLBACK_BASE_DELAY_MS = 1000;
+const CALLBACK_MAX_DELAY_MS = 30000;
+const CALLBACK_TIMEOUT_MS = 10000;
+
+// Fetch failures that no retry will fix
+const PERMANENT_FETCH_CODES = ['INVALID_URL', 'URL_BLOCKED'];
+
+/**
+ * How long job records are kept, from JOB_TTL_HOURS (default 24).
+ */
+function jobTtlMs() {
+  const hours = parseFloat(process.env.JOB_TTL_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+}
+
+/**
+ * How many times a callback is attempted, from CALLBACK_MAX_ATTEMPTS (default 5).
+ */
+function callbackAttempts() {
+  const value = parseInt(process.env.CALLBACK_MAX_ATTEMPTS, 10);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_CALLBACK_ATTEMPTS;
+}
+
+/**
+ * Whether a string is a well-formed job ID.
+ */
+function isValidJobId(jobId) {
+  return typeof jobId === 'string' && JOB_ID_PATTERN.test(jobId);
+}
+
+// Helpers to build the blob keys of a job's record and its stored request
+function recordKey(jobId) {
+  return `${JOB_PREFIX}${jobId}.json`;
+}
+
+function requestKey(jobId) {
+  return `${JOB_PREFIX}${jobId}.request`;
+}
+
+/**
+ * Stores a job record, with its status and expiry as blob metadata.
+ */
+async function saveJob(store, job) {
+  await store.set(recordKey(job.jobId), Buffer.from(JSON.stringify(job)), {
+    metadata: { status: job.status, createdAt: job.createdAt, expiresAt: job.expiresAt }
+  });
+}
+
+/**
+ * Queues a job for a validated overlay request. The request is stored with only its option headers,
+ * to be replayed by the background function. Returns the job record, status "queued".
+ */
+async function createJob(store, event, { callbackUrl = null, keyId = null } = {}) {
+  const now = Date.now();
+  const job = {
+    jobId: `${now}-${crypto.randomBytes(8).toString('hex')}`,
+    status: 'queued',
+    createdAt: new Date(now).toISOString(),
+    startedAt: null,
+    completedAt: null,
+    expiresAt: new Date(now + jobTtlMs()).toISOString(),
+    keyId,
+    callbackUrl,
+    statusCode: null,
+    result: null,
+    error: null,
+    callback: null
+  };
+
+  const request = {
+    httpMethod: 'POST',
+    path: event.path,
+    headers: optionHeaders(event.headers),
+    queryStringParameters: event.queryStringParameters || {},
+    body: event.body || '',
+    isBase64Encoded: !!event.isBase64Encoded
+  };
+  await store.set(requestKey(job.jobId), Buffer.from(JSON.stringify(request)), {
+    metadata: { createdAt: job.createdAt, expiresAt: job.expiresAt }
+  });
+  await saveJob(store, job);
+  return job;
+}
+
+/**
+ * Reads a job record. Returns the job, or null when there is none.
+ */
+async function loadJob(store, jobId) {
+  const blob = await store.get(recordKey(jobId));
+  return blob ? JSON.parse(blob.toString('utf-8')) : null;
+}
+
+/**
+ * Reads the stored request of a queued job, or null once it has been consumed.
+ */
+async function loadJobRequest(store, jobId) {
+  const blob = await store.get(requestKey(jobId));
+  return blob ? JSON.parse(blob.toString('utf-8')) : null;
+}
+
+/**
+ * Deletes a job's stored request once it has run; inline images make it the bulk of the job.
+ */
+async function deleteJobRequest(store, jobId) {
+  await store.delete(requestKey(jobId));
+}
+
+/**
+ * The public view of a job, as returned by the jobs function and posted to callbacks.
+ */
+function jobView(job) {
+  return {
+    jobId: job.jobId,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    expiresAt: job.expiresAt,
+    ...(job.statusCode && { statusCode: job.statusCode }),
+    ...(job.result && { result: job.result }),
+    ...(job.error && { error: job.error }),
+    ...(job.callback && { callback: job.callback })
+  };
+}
+
+/**
+ * Starts the overlay-background function for a queued job, signed as the API key that queued it
+ * (see signRequest()). Netlify answers a background function with 202 straight away; anything else
+ * throws a JOB_DISPATCH_FAILED HttpError.
+ */
+async function dispatchJob(job, baseUrl) {
+  const path = '/.netlify/functions/overlay-background';
+  const body = JSON.stringify({ jobId: job.jobId });
+  let statusCode;
+  try {
+    ({ statusCode } = await postJson(`${baseUrl}${path}`, body, {
+      headers: signRequest(job.keyId, 'POST', path, body),
+      timeoutMs: CALLBACK_TIMEOUT_MS,
+      allowPrivate: true
+    }));
+  } catch (error) {
+    throw new HttpError(502, 'JOB_DISPATCH_FAILED', `Background function could not be started: ${error.message}`);
+  }
+  if (statusCode < 200 || statusCode >= 300) {
+    throw new HttpError(502, 'JOB_DISPATCH_FAILED', `Background function answered HTTP ${statusCode}`);
+  }
+}
+
+// Helper to wait between callback attempts
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * POSTs a finished job's view to its callbackUrl, signed with CALLBACK_SECRET (see signCallback()).
+ * Timeouts, connection errors, 408, 429 and 5xx answers are retried with exponential backoff, up to
+ * CALLBACK_MAX_ATTEMPTS attempts; any 2xx answer is delivery. Never throws.
+ * Returns { url, delivered, attempts, statusCode, error, deliveredAt }.
+ */
+async function deliverCallback(job) {
+  const body = JSON.stringify(jobView(job));
+  const maxAttempts = callbackAttempts();
+  const outcome = { url: job.callbackUrl, delivered: false, attempts: 0, statusCode: null, error: null, deliveredAt: null };
+
+  while (outcome.attempts < maxAttempts) {
+    outcome.attempts++;
+    let retry;
+    try {
+      const { statusCode } = await postJson(job.callbackUrl, body, {
+        timeoutMs: CALLBACK_TIMEOUT_MS,
+        headers: { 'X-Job-Id': job.jobId, 'X-Callback-Attempt': String(outcome.attempts), ...signCallback(body) }
+      });
+      outcome.statusCode = statusCode;
+      outcome.error = null;
+      if (statusCode >= 200 && statusCode < 300) {
+        outcome.delivered = true;
+        outcome.deliveredAt = new Date().toISOString();
+        break;
+      }
+      outcome.error = `Callback answered HTTP ${statusCode}`;
+      retry = statusCode === 408 || statusCode === 429 || statusCode >= 500;
+    } catch (error) {
+      outcome.error = error.message;
+      retry = !PERMANENT_FETCH_CODES.includes(error.code);
+    }
+
+    log.warn('Callback attempt failed', { jobId: job.jobId, attempt: outcome.attempts, error: outcome.error, retry });
+    if (!retry || outcome.attempts >= maxAttempts) break;
+    await sleep(Math.min(CALLBACK_MAX_DELAY_MS, CALLBACK_BASE_DELAY_MS * 2 ** (outcome.attempts - 1)));
+  }
+  return outcome;
+}
+
+/**
+ * Deletes job records and stored requests past their expiresAt. Returns how many jobs were removed.
+ */
+async function purgeExpiredJobs(store, now = new Date()) {
+  const { blobs } = await store.list({ prefix: JOB_PREFIX });
+  let deleted = 0;
+  for (const { key } of blobs) {
+    const result = await store.getMetadata(key);
+    if (!result || !result.metadata || new Date(result.metadata.expiresAt).getTime() <= now.getTime()) {
+      await store.delete(key);
+      if (key.endsWith('.json')) deleted++;
+    }
+  }
+  return deleted;
+}
+
+module.exports = {
+  JOB_PREFIX,
+  isValidJobId,
+  createJob,
+  saveJob,
+  loadJob,
+  loadJobRequest,
+  deleteJobRequest,
+  jobView,
+  dispatchJob,
+  deliverCallback,
+  purgeExpiredJobs
+};
@@ -0,0 +1,344 @@
+const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+// Scripts written without spaces; a line may break between any two of their characters
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\u3000-\u303f\uff00-\uffef]/u;
+
+// Line-breaking rules for CJK: these may not start a line, or end one
+const NO_BREAK_BEFORE = /^[)\]}>,.:;!?%…‥、。，．：；！？」』）】〉》〕〗〙〛ー々〻ぁぃぅぇぉっゃゅょゎゕゖァィゥェォッャュョヮヵヶ・”’]/u;
+const NO_BREAK_AFTER = /[(\[{<「『（【〈《〔〖〘〚“‘]$/u;
+
+// Characters after which an over-long token such as a URL may be split
+const URL_BREAK_AFTER = /[/.?&=_\-#:,;~+]$/;
+
+const RTL_PATTERN = /[\p{Script=Hebrew}\p{Script=Arabic}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}]/u;
+
+// Directional isolates: drawing a line inside RLI ... PDI lays it out right-to-left
+const RIGHT_TO_LEFT_ISOLATE = '\u2067';
+const POP_DIRECTIONAL_ISOLATE = '\u2069';
+
+// Helper to split text into grapheme clusters as { text, index } with UTF-16 offsets
+function graphemes(text) {
+    return Array.from(graphemeSegmenter.segment(text), ({ segment, index }) => ({ text: segment, index }));
+}
+
+/**
+ * Base direction of a caption from its first strong character: 'rtl' for Hebrew, Arabic and
+ * similar scripts, otherwise 'ltr'.
+ */
+function textDirection(text) {
+    for (const char of text) {
+        if (RTL_PATTERN.test(char)) return 'rtl';
+        if (/\p{L}/u.test(char)) return 'ltr';
+    }
+    return 'ltr';
+}
+
+/**
+ * Wraps a line in directional isolates so an RTL line keeps its base direction when drawn.
+ */
+function isolateDirection(text, direction) {
+    return direction === 'rtl' ? RIGHT_TO_LEFT_ISOLATE + text + POP_DIRECTIONAL_ISOLATE : text;
+}
+
+/**
+ * Parses `*word*` emphasis markup. Returns { text, spans } where `text` has the markers removed and
+ * `spans` lists the emphasised [start, end) ranges within it. `\*` is a literal asterisk, and an
+ * asterisk next to a space on the inside (e.g. "5 * 3") is not markup.
+ */
+function parseMarkup(caption) {
+    const spans = [];
+    let text = '';
+    let last = 0;
+
+    for (const match of caption.matchAll(/\\\*|\*([^*\s](?:[^*]*[^*\s])?)\*/g)) {
+        text += caption.slice(last, match.index);
+        if (match[1] === undefined) {
+            text += '*';
+        } else {
+            spans.push({ start: text.length, end: text.length + match[1].length });
+            text += match[1];
+        }
+        last = match.index + match[0].length;
+    }
+
+    return { text: text + caption.slice(last), spans };
+}
+
+/**
+ * Splits text[start, end) into runs of { text, emphasis } along the emphasised spans.
+ */
+function lineRuns(text, spans, start, end) {
+    const runs = [];
+    let position = start;
+
+    for (const span of spans) {
+        if (span.end <= position || span.start >= end) continue;
+        if (span.start > position) runs.push({ text: text.slice(position, span.start), emphasis: false });
+        const runEnd = Math.min(span.end, end);
+        runs.push({ text: text.slice(Math.max(span.start, position), runEnd), emphasis: true });
+        position = runEnd;
+    }
+    if (position < end) runs.push({ text: text.slice(position, end), emphasis: false });
+
+    return runs;
+}
+
+// Helper to decide whether a line may break between two graphemes
+function canBreakBetween(previous, next) {
+    if (/\s/u.test(previous)) return !/\s/u.test(next);
+    if (/\s/u.test(next)) return false;
+    if (CJK_PATTERN.test(previous) || CJK_PATTERN.test(next)) {
+        return !NO_BREAK_BEFORE.test(next) && !NO_BREAK_AFTER.test(previous);
+    }
+    // Hyphenated compounds may break after the hyphen
+    return /[-\u2010\u2013\u2014]$/.test(previous) && /^\p{L}/u.test(next);
+}
+
+// Helper to split text into unbreakable tokens of { start, end }, excluding the whitespace after each
+function breakTokens(text) {
+    const clusters = graphemes(text);
+    const tokens = [];
+    let start = 0;
+
+    const pushToken = next => {
+        let end = next;
+        while (end > start && /\s/u.test(text[end - 1])) end--;
+        if (end > start) tokens.push({ start, end });
+        start = next;
+    };
+
+    for (let i = 1; i < clusters.length; i++) {
+        if (canBreakBetween(clusters[i - 1].text, clusters[i].text)) pushToken(clusters[i].index);
+    }
+    pushToken(text.length);
+
+    // Leading whitespace belongs to no token
+    if (tokens.length && /^\s/u.test(text)) {
+        tokens[0].start = text.length - text.trimStart().length;
+    }
+    return tokens;
+}
+
+// Helper to split one token that is wider than maxWidth into pieces that fit, preferring URL
+// punctuation and falling back to grapheme boundaries. Returns [{ start, end }].
+function splitLongToken(text, token, maxWidth, measure) {
+    const clusters = graphemes(text.slice(token.start, token.end))
+        .map(({ text: cluster, index }) => ({ text: cluster, index: token.start + index }));
+    const pieces = [];
+    let pieceStart = token.start;
+
+    while (pieceStart < token.end) {
+        // Furthest grapheme boundary that still fits, always taking at least one grapheme
+        const first = clusters.findIndex(cluster => cluster.index === pieceStart);
+        let fit = first + 1;
+        while (fit < clusters.length && measure(pieceStart, clusters[fit].index + clusters[fit].text.length) <= maxWidth) {
+            fit++;
+        }
+        if (fit === clusters.length) {
+            pieces.push({ start: pieceStart, end: token.end });
+            break;
+        }
+
+        // Prefer to end the piece just after URL punctuation, unless that leaves it mostly empty
+        let split = fit;
+        for (let i = fit; i > first + 1; i--) {
+            if (URL_BREAK_AFTER.test(clusters[i - 1].text) && !URL_BREAK_AFTER.test(clusters[i].text)) {
+                if (i - first >= (fit - first) / 2) split = i;
+                break;
+            }
+        }
+
+        pieces.push({ start: pieceStart, end: clusters[split].index });
+        pieceStart = clusters[split].index;
+    }
+
+    return pieces;
+}
+
+/**
+ * Breaks text into lines no wider than maxWidth. `measure(start, end)` returns the width of
+ * text[start, end). Breaks at spaces, between CJK characters (respecting the usual no-break
+ * punctuation) and after hyphens; tokens wider than a whole line, such as long URLs, are split
+ * after URL punctuation or between graphemes. Returns [{ start, end }] offsets into `text`.
+ */
+function breakLines(text, maxWidth, measure) {
+    const lines = [];
+    let line = null;
+
+    for (const token of breakTokens(text)) {
+        if (line && measure(line.start, token.end) <= maxWidth) {
+            line.end = token.end;
+            continue;
+        }
+        if (line) lines.push(line);
+
+        if (measure(token.start, token.end) <= maxWidth) {
+            line = { start: token.start, end: token.end };
+        } else {
+            const pieces = splitLongToken(text, token, maxWidth, measure);
+            lines.push(...pieces.slice(0, -1));
+            line = pieces[pieces.length - 1];
+        }
+    }
+    if (line) lines.push(line);
+
+    return lines.length ? lines : [{ start: 0, end: 0 }];
+}
+
+// Helper function to wrap text
+function wrapText(context, text, maxWidth) {
+    return breakLines(text, maxWidth, (start, end) => context.measureText(text.slice(start, end)).width)
+        .map(({ start, end }) => text.slice(start, end));
+}
+
+/**
+ * Paginates paragraphs across pages of a fixed height with wrapText(), filling each page with
+ * as many lines as fit. `blocks` are [{ text, indent }]; an indented block (e.g. a bullet point)
+ * wraps `indent` pixels narrower. Paragraphs after the first on a page are set `paragraphGap`
+ * pixels lower, and a paragraph that doesn't fit continues on the next page.
+ * Returns pages of [{ block, text, first, indent, top }], `top` relative to the page.
+ */
+function paginateText(context, blocks, { maxWidth, maxHeight, lineHeight, paragraphGap = 0 }) {
+    const pages = [];
+    let page = [];
+    let y = 0;
+
+    blocks.forEach((block, index) => {
+        const indent = block.indent || 0;
+        wrapText(context, block.text, maxWidth - indent).forEach((line, i) => {
+            let gap = i === 0 && page.length ? paragraphGap : 0;
+            if (page.length && y + gap + lineHeight > maxHeight) {
+                pages.push(page);
+                page = [];
+                y = 0;
+                gap = 0;
+            }
+            page.push({ block: index, text: line.trim(), first: i === 0, indent, top: y + gap });
+            y += gap + lineHeight;
+        });
+    });
+    if (page.length) pages.push(page);
+
+    return pages;
+}
+
+// Helper to measure a line, with a character-based estimate for servers where measurement fails
+function measureLine(context, text, fontSize) {
+    const width = context.measureText(text).width;
+    if (width < 10 || isNaN(width)) {
+        return graphemes(text).length * (fontSize * 0.6);
+    }
+    return width;
+}
+
+/**
+ * Canvas font string for a weight, size and family list, e.g. `700 30px "Open Sans", "Noto Sans"`.
+ */
+function fontString(fontWeight, fontSize, fontFamilies) {
+    return `${fontWeight} ${fontSize}px ${[].concat(fontFamilies).map(family => `"${family}"`).join(', ')}`;
+}
+
+/**
+ * Measures a line made of emphasis runs. Bold emphasis is measured in `boldWeight`;
+ * `font` is { families, weight, size }.
+ */
+function measureRuns(context, runs, font, boldWeight) {
+    const text = runs.map(run => run.text).join('');
+    if (!boldWeight || !runs.some(run => run.emphasis)) {
+        context.font = fontString(font.weight, font.size, font.families);
+        return measureLine(context, text, font.size);
+    }
+
+    let width = 0;
+    for (const run of runs) {
+        context.font = fontString(run.emphasis ? boldWeight : font.weight, font.size, font.families);
+        width += context.measureText(run.text).width;
+    }
+    context.font = fontString(font.weight, font.size, font.families);
+    return width < 10 || isNaN(width) ? measureLine(context, text, font.size) : width;
+}
+
+// Helper to shorten a line with an ellipsis until it fits maxWidth, one grapheme at a time
+function ellipsize(context, text, maxWidth, fontSize) {
+    const clusters = graphemes(text.trimEnd()).map(cluster => cluster.text);
+    while (clusters.length > 0 && measureLine(context, clusters.join('') + '…', fontSize) > maxWidth) {
+        clusters.pop();
+        while (clusters.length > 0 && /^\s+$/u.test(clusters[clusters.length - 1])) clusters.pop();
+    }
+    return clusters.join('') + '…';
+}
+
+// Helper to fit a caption into maxLines and maxHeight, shrinking the font first and truncating as a last resort.
+// The text is as high as its first line plus `lineHeight` (a multiple of the font size) per extra line;
+// at least one line is always kept. `spans` are emphasised ranges from parseMarkup(); with `boldWeight`
+// they are measured bold.
+function fitText(context, text, { fontFamily, fontWeight = 400, maxWidth, maxLines, maxHeight = Infinity, lineHeight = 1, fontSize, minFontSize, spans = [], boldWeight = null }) {
+    const font = { families: fontFamily, weight: fontWeight, size: fontSize };
+    const measure = (start, end) => measureRuns(context, lineRuns(text, spans, start, end), font, boldWeight);
+    const lineLimit = size => (maxHeight === Infinity ? maxLines
+        : Math.max(1, Math.min(maxLines, Math.floor((maxHeight - size) / Math.max(1, Math.round(size * lineHeight))) + 1)));
+    let ranges;
+
+    for (;;) {
+        context.font = fontString(fontWeight, font.size, fontFamily);
+        ranges = breakLines(text, maxWidth, measure);
+        if (ranges.length <= lineLimit(font.size) || font.size <= minFontSize) break;
+        font.size = Math.max(minFontSize, font.size - 2);
+    }
+
+    let truncated = false;
+    const limit = lineLimit(font.size);
+    const lines = ranges.slice(0, limit).map(range => ({ ...range, ellipsis: false }));
+    if (ranges.length > limit) {
+        // Drop graphemes from the end of the last line until it fits with an ellipsis
+        const last = lines[limit - 1];
+        const clusters = graphemes(text.slice(last.start, last.end));
+        const ellipsisWidth = measureLine(context, '…', font.size);
+        while (clusters.length > 0 && measure(last.start, last.end) + ellipsisWidth > maxWidth) {
+            clusters.pop();
+            last.end = last.start + (clusters.length ? clusters[clusters.length - 1].index + clusters[clusters.length - 1].text.length : 0);
+            while (last.end > last.start && /\s/u.test(text[last.end - 1])) last.end--;
+        }
+        last.ellipsis = true;
+        truncated = true;
+    }
+
+    return {
+        lines: lines.map(line => text.slice(line.start, line.end) + (line.ellipsis ? '…' : '')),
+        runs: lines.map(line => {
+            const runs = lineRuns(text, spans, line.start, line.end);
+            return line.ellipsis ? [...runs, { text: '…', emphasis: false }] : runs;
+        }),
+        widths: lines.map(line => measure(line.start, line.end) + (line.ellipsis ? measureLine(context, '…', font.size) : 0)),
+        fontSize: font.size,
+        truncated
+    };
+}
+
+// Helper to place a box of the given size at a template anchor inside an area ({ left, top, width, height })
+function anchorBox(anchor, boxWidth, boxHeight, area, marginX, marginY) {
+    const [vertical, horizontal = 'center'] = anchor === 'center' ? ['center'] : anchor.split('-');
+    const left = horizontal === 'left' ? area.left + marginX
+        : horizontal === 'right' ? area.left + area.width - boxWidth - marginX
+        : area.left + (area.width - boxWidth) / 2;
+    const top = vertical === 'top' ? area.top + marginY
+        : vertical === 'bottom' ? area.top + area.height - boxHeight - marginY
+        : area.top + (area.height - boxHeight) / 2;
+    return { left: Math.round(left), top: Math.round(top) };
+}
+
+module.exports = {
+    wrapText,
+    paginateText,
+    breakLines,
+    measureLine,
+    measureRuns,
+    ellipsize,
+    fitText,
+    fontString,
+    parseMarkup,
+    lineRuns,
+    textDirection,
+    isolateDirection,
+    anchorBox
+};
@@ -0,0 +1,187 @@
+const OVERLAY_PREFIX = 'overlays/';
+const RENDER_PREFIX = 'renders/';
+const DERIVATIVE_PREFIX = 'derivatives/';
+const SIDECAR_PREFIX = 'sidecars/';
+const DEFAULT_TTL_DAYS = 30;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Default TTL for new overlays in days, from IMAGE_TTL_DAYS. 0 keeps images forever.
+ */
+function defaultTtlDays() {
+  const configured = parseFloat(process.env.IMAGE_TTL_DAYS);
+  return Number.isFinite(configured) && configured >= 0 ? configured : DEFAULT_TTL_DAYS;
+}
+
+/**
+ * Builds the metadata written alongside every overlay blob.
+ * `expiresAt` is null when ttlDays is 0.
+ */
+function lifecycleMetadata(ttlDays = defaultTtlDays(), now = new Date()) {
+  return {
+    createdAt: now.toISOString(),
+    ttlDays,
+    expiresAt: ttlDays > 0 ? new Date(now.getTime() + ttlDays * DAY_MS).toISOString() : null
+  };
+}
+
+/**
+ * Whether blob metadata marks the image as expired. Blobs without an expiry never expire.
+ */
+function isExpired(metadata, now = new Date()) {
+  return !!(metadata && metadata.expiresAt && new Date(metadata.expiresAt).getTime() <= now.getTime());
+}
+
+/**
+ * Extracts the image ID from a key like overlays/1733512345-abc123.jpg.
+ */
+function imageIdFromKey(key) {
+  const name = key.slice(OVERLAY_PREFIX.length);
+  const dot = name.indexOf('.');
+  return dot === -1 ? name : name.slice(0, dot);
+}
+
+/**
+ * Creation time encoded in an image ID (<timestamp>-<hash>), or null for unrecognised IDs.
+ */
+function createdAtFromId(imageId) {
+  const match = /^(\d{10,})-/.exec(imageId);
+  return match ? new Date(parseInt(match[1], 10)) : null;
+}
+
+/**
+ * Prefix under which the resized or re-encoded derivatives of an overlay blob are cached,
+ * e.g. derivatives/1733512345-abc123.jpg/ for overlays/1733512345-abc123.jpg.
+ */
+function derivativePrefix(key) {
+  return `${DERIVATIVE_PREFIX}${key.slice(OVERLAY_PREFIX.length)}/`;
+}
+
+/**
+ * Key of the metadata record stored alongside an overlay, e.g. sidecars/1733512345-abc123.json.
+ */
+function sidecarKey(imageId) {
+  return `${SIDECAR_PREFIX}${imageId}.json`;
+}
+
+// Helper to delete an overlay blob together with its derivatives, metadata record and render-cache entry,
+// unless a later render of the same key has taken that entry over
+async function deleteOverlayBlob(store, key, metadata) {
+  const { renderKey } = metadata || ((await store.getMetadata(key)) || {}).metadata || {};
+  if (renderKey) {
+    const entry = await store.getMetadata(`${RENDER_PREFIX}${renderKey}`);
+    if (entry && entry.metadata && entry.metadata.imageId === imageIdFromKey(key)) {
+      await store.delete(`${RENDER_PREFIX}${renderKey}`);
+    }
+  }
+  const { blobs: derivatives } = await store.list({ prefix: derivativePrefix(key) });
+  for (const derivative of derivatives) {
+    await store.delete(derivative.key);
+  }
+  await store.delete(sidecarKey(imageIdFromKey(key)));
+  await store.delete(key);
+}
+
+// Helper to list overlay keys with their IDs, newest first
+async function listOverlayKeys(store) {
+  const { blobs } = await store.list({ prefix: OVERLAY_PREFIX });
+  return blobs
+    .map(blob => ({ key: blob.key, imageId: imageIdFromKey(blob.key), createdAt: createdAtFromId(imageIdFromKey(blob.key)) }))
+    .sort((a, b) => (a.imageId < b.imageId ? 1 : a.imageId > b.imageId ? -1 : 0));
+}
+
+/**
+ * Lists stored overlays newest first.
+ * Options: `from` / `to` (Dates, inclusive) filter on creation time, `limit` sets the page size and
+ * `cursor` is the `nextCursor` of the previous page. Date filtering uses the timestamp in the ID,
+ * so only the returned page needs its metadata read.
+ */
+async function listOverlays(store, { from, to, limit = DEFAULT_PAGE_SIZE, cursor } = {}) {
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, limit));
+
+  const matching = (await listOverlayKeys(store)).filter(({ imageId, createdAt }) => {
+    if (cursor && imageId >= cursor) return false;
+    if (from && (!createdAt || createdAt < from)) return false;
+    if (to && (!createdAt || createdAt > to)) return false;
+    return true;
+  });
+
+  const page = matching.slice(0, pageSize);
+  const images = await Promise.all(page.map(async ({ key, imageId, createdAt }) => {
+    const result = await store.getMetadata(key);
+    const metadata = (result && result.metadata) || {};
+    return {
+      imageId,
+      key,
+      createdAt: metadata.createdAt || (createdAt && createdAt.toISOString()),
+      expiresAt: metadata.expiresAt || null,
+      metadata
+    };
+  }));
+
+  return {
+    images,
+    nextCursor: matching.length > pageSize ? page[page.length - 1].imageId : null
+  };
+}
+
+/**
+ * Deletes every blob stored for an image ID. Returns the deleted keys (empty when not found).
+ */
+async function deleteOverlay(store, imageId) {
+  const { blobs } = await store.list({ prefix: `${OVERLAY_PREFIX}${imageId}.` });
+  for (const { key } of blobs) {
+    await deleteOverlayBlob(store, key);
+  }
+  return blobs.map(blob => blob.key);
+}
+
+/**
+ * Deletes overlays created before `olderThan` (a Date). Returns the deleted image IDs.
+ */
+async function purgeOlderThan(store, olderThan) {
+  const deleted = [];
+  for (const { key, imageId, createdAt } of await listOverlayKeys(store)) {
+    if (createdAt && createdAt < olderThan) {
+      await deleteOverlayBlob(store, key);
+      deleted.push(imageId);
+    }
+  }
+  return deleted;
+}
+
+/**
+ * Deletes overlays whose expiresAt metadata has passed. Returns the deleted image IDs.
+ */
+async function purgeExpired(store, now = new Date()) {
+  const deleted = [];
+  for (const { key, imageId } of await listOverlayKeys(store)) {
+    const result = await store.getMetadata(key);
+    if (result && isExpired(result.metadata, now)) {
+      await deleteOverlayBlob(store, key, result.metadata);
+      deleted.push(imageId);
+    }
+  }
+  return deleted;
+}
+
+module.exports = {
+  OVERLAY_PREFIX,
+  RENDER_PREFIX,
+  DERIVATIVE_PREFIX,
+  SIDECAR_PREFIX,
+  DAY_MS,
+  defaultTtlDays,
+  lifecycleMetadata,
+  isExpired,
+  imageIdFromKey,
+  createdAtFromId,
+  derivativePrefix,
+  sidecarKey,
+  listOverlays,
+  deleteOverlay,
+  purgeOlderThan,
+  purgeExpired
+};
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const DEFAULT_LEVEL = 'info';
+
+// Stages reported in Server-Timing, in pipeline order; others follow in the order they were first timed
+const STAGES = ['fetch', 'decode', 'font', 'layout', 'render', 'encode', 'store'];
+
+// Correlation IDs supplied by callers must be short and header-safe
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Per-request context: { fields, timings }, set up by withRequestLogging() and read by every logger
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * The minimum level written, from LOG_LEVEL; unknown values fall back to info.
+ */
+function logLevel() {
+  const level = String(process.env.LOG_LEVEL || '').toLowerCase();
+  return LEVELS[level] ? level : DEFAULT_LEVEL;
+}
+
+// Helper to make a logged value JSON-friendly; errors keep their message, code and stack
+function serialize(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, ...(value.code && { code: value.code }), stack: value.stack };
+  }
+  return value;
+}
+
+/**
+ * Creates a logger for one module or function. Each call writes a single JSON line:
+ *   { "time": "...", "level": "info", "component": "overlay", "msg": "...", "requestId": "...", ...fields }
+ * The current request's fields (requestId, fn and any from withLogContext) are added automatically.
+ * Lines below LOG_LEVEL (debug, info, warn or error; default info) are dropped.
+ */
+function createLogger(component) {
+  const write = (level, msg, fields = {}) => {
+    if (LEVELS[level] < LEVELS[logLevel()]) return;
+
+    const context = requestContext.getStore();
+    const entry = { time: new Date().toISOString(), level, component, msg, ...(context && context.fields) };
+    for (const [key, value] of Object.entries(fields)) {
+      entry[key] = serialize(value);
+    }
+
+    const line = JSON.stringify(entry);
+    if (level === 'error') console.error(line);
+    else if (level === 'warn') console.warn(line);
+    else console.log(line);
+  };
+
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields)
+  };
+}
+
+/**
+ * Times `fn` (sync or async) as a pipeline stage of the current request, adding its duration in
+ * milliseconds to that stage's total; stages that run once per preset add up. Outside a request
+ * it just runs `fn`.
+ */
+async function timeStage(stage, fn) {
+  const context = requestContext.getStore();
+  const started = process.hrtime.bigint();
+  try {
+    return await fn();
+  } finally {
+    if (context) {
+      const elapsed = Number(process.hrtime.bigint() - started) / 1e6;
+      context.timings[stage] = (context.timings[stage] || 0) + elapsed;
+    }
+  }
+}
+
+/**
+ * Runs `fn` with extra fields on every log line, e.g. { item: 3 } for one batch item.
+ * Timings still add up on the enclosing request.
+ */
+function withLogContext(fields, fn) {
+  const context = requestContext.getStore();
+  return requestContext.run({
+    fields: { ...(context && context.fields), ...fields },
+    timings: context ? context.timings : {}
+  }, fn);
+}
+
+/**
+ * Picks the correlation ID for a request: the caller's X-Request-Id (or X-Correlation-Id) when it
+ * is header-safe, otherwise Netlify's own request ID, otherwise a new UUID.
+ */
+function correlationId(event) {
+  const headers = (event && event.headers) || {};
+  const supplied = headers['x-request-id'] || headers['X-Request-Id']
+    || headers['x-correlation-id'] || headers['X-Correlation-Id'];
+  if (supplied && REQUEST_ID_PATTERN.test(supplied)) return supplied;
+  return headers['x-nf-request-id'] || crypto.randomUUID();
+}
+
+// Helper to round the stage timings to tenths of a millisecond, in pipeline order
+function roundedTimings(timings) {
+  const ordered = [...STAGES.filter(stage => stage in timings), ...Object.keys(timings).filter(stage => !STAGES.includes(stage))];
+  return Object.fromEntries(ordered.map(stage => [stage, Math.round(timings[stage] * 10) / 10]));
+}
+
+/**
+ * Wraps a Netlify function handler so each invocation runs in its own log context. Every response
+ * gets X-Request-Id with the correlation ID and, when any stage was timed, a Server-Timing header.
+ * One info line records the outcome, its duration and the stage timings.
+ */
+function withRequestLogging(fn, handler) {
+  const log = createLogger(fn);
+
+  return (event, context) => {
+    const requestId = correlationId(event);
+    return requestContext.run({ fields: { fn, requestId }, timings: {} }, async () => {
+      const started = Date.now();
+      log.debug('Request received', { method: event.httpMethod, path: event.path });
+
+      let response;
+      try {
+        response = await handler(event, context);
+      } catch (error) {
+        log.error('Unhandled error', { error, durationMs: Date.now() - started });
+        throw error;
+      }
+
+      const timings = roundedTimings(requestContext.getStore().timings);
+      const serverTiming = Object.entries(timings).map(([stage, duration]) => `${stage};dur=${duration}`).join(', ');
+      log.info('Request completed', {
+        method: event.httpMethod,
+        statusCode: response.statusCode,
+        durationMs: Date.now() - started,
+        ...(serverTiming && { timings })
+      });
+
+      return {
+        ...response,
+        headers: {
+          ...response.headers,
+          'X-Request-Id': requestId,
+          ...(serverTiming && { 'Server-Timing': serverTiming })
+        }
+      };
+    });
+  };
+}
+
+module.exports = {
+  LEVELS,
+  logLevel,
+  createLogger,
+  timeStage,
+  withLogContext,
+  withRequestLogging,
+  correlationId
+};
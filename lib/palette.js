@@ -0,0 +1,221 @@
+const sharp = require('sharp');
+const { parseHexColor } = require('./templates');
+
+// Width of the colour grid sampled under the caption box and across the image
+const SAMPLE_GRID_WIDTH = 48;
+
+// The measured contrast is the one this share of the sampled pixels reaches, so a few stray
+// highlights under the box do not decide the styling on their own
+const CONTRAST_PERCENTILE = 0.05;
+
+// Box opacity is raised from the template's value in steps of this size until the target is met
+const OPACITY_STEP = 0.05;
+
+// Kicker labels, emphasis and accents in an automatic brand colour need at least the WCAG
+// contrast for large text against the box
+const BRAND_CONTRAST = 3;
+
+// Pixels below this saturation or outside this brightness range are not candidates for an accent colour
+const ACCENT_MIN_SATURATION = 0.35;
+const ACCENT_MIN_VALUE = 0.2;
+const ACCENT_MAX_VALUE = 0.95;
+
+// Accent candidates are grouped into hue bins of this many degrees
+const HUE_BIN_DEGREES = 30;
+
+const WHITE = '#ffffff';
+const BLACK = '#000000';
+
+// Helper to convert { r, g, b } (0-255) to #rrggbb
+function toHex({ r, g, b }) {
+  return `#${[r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+}
+
+// Helper to blend two { r, g, b } colours; `amount` is the share of the first
+function blend(a, b, amount) {
+  return {
+    r: a.r * amount + b.r * (1 - amount),
+    g: a.g * amount + b.g * (1 - amount),
+    b: a.b * amount + b.b * (1 - amount)
+  };
+}
+
+/**
+ * WCAG relative luminance of an { r, g, b } colour (0-255 channels).
+ */
+function relativeLuminance({ r, g, b }) {
+  const linear = channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+  };
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+/**
+ * WCAG contrast ratio between two { r, g, b } colours, from 1 to 21.
+ */
+function contrastRatio(a, b) {
+  const [light, dark] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+/**
+ * Samples the colours of a rectangle of raw output pixels on a coarse grid.
+ * Returns an array of { r, g, b }.
+ */
+async function sampleRegion(data, raw, rect) {
+  const left = Math.max(0, Math.min(raw.width - 1, Math.round(rect.left)));
+  const top = Math.max(0, Math.min(raw.height - 1, Math.round(rect.top)));
+  const width = Math.max(1, Math.min(raw.width - left, Math.round(rect.width)));
+  const height = Math.max(1, Math.min(raw.height - top, Math.round(rect.height)));
+
+  const { data: pixels, info } = await sharp(data, { raw })
+    .extract({ left, top, width, height })
+    .removeAlpha()
+    .resize(Math.min(SAMPLE_GRID_WIDTH, width))
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const samples = [];
+  for (let i = 0; i < info.width * info.height * info.channels; i += info.channels) {
+    samples.push({ r: pixels[i], g: pixels[i + 1], b: pixels[i + 2] });
+  }
+  return samples;
+}
+
+/**
+ * The contrast between text and a box of `boxColor` at `opacity` over the sampled background,
+ * as reached by all but the lowest CONTRAST_PERCENTILE of the samples.
+ */
+function measureContrast(textColor, boxColor, opacity, samples) {
+  const text = parseHexColor(textColor);
+  const box = parseHexColor(boxColor);
+  const ratios = samples.map(sample => contrastRatio(text, blend(box, sample, opacity))).sort((a, b) => a - b);
+  return ratios[Math.min(ratios.length - 1, Math.floor(ratios.length * CONTRAST_PERCENTILE))];
+}
+
+// Helper to move a colour towards white or black until it reaches `target` against the box,
+// by the smallest step that does; the more legible extreme when neither does
+function legibleColor(color, boxColor, opacity, samples, target) {
+  const base = parseHexColor(color);
+  let best = { color, ratio: measureContrast(color, boxColor, opacity, samples) };
+  for (let step = 0; step <= 10 && best.ratio < target; step++) {
+    for (const extreme of [WHITE, BLACK]) {
+      const candidate = toHex(blend(parseHexColor(extreme), base, step / 10));
+      const ratio = measureContrast(candidate, boxColor, opacity, samples);
+      if (ratio > best.ratio) best = { color: candidate, ratio };
+    }
+  }
+  return best.color;
+}
+
+/**
+ * Picks colours from raw image pixels: `dominant` from sharp's stats and `accent`, the average of
+ * the most common hue among saturated, mid-brightness pixels (null when the image has none).
+ * Returns { dominant, accent } as hex colours.
+ */
+async function extractPalette(data, raw) {
+  const image = sharp(data, { raw }).removeAlpha();
+  const { dominant } = await image.clone().stats();
+  const { data: pixels, info } = await image
+    .resize(Math.min(SAMPLE_GRID_WIDTH * 2, raw.width))
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const bins = new Map();
+  for (let i = 0; i < info.width * info.height * info.channels; i += info.channels) {
+    const [r, g, b] = [pixels[i], pixels[i + 1], pixels[i + 2]];
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const value = max / 255;
+    const saturation = max ? (max - min) / max : 0;
+    if (saturation < ACCENT_MIN_SATURATION || value < ACCENT_MIN_VALUE || value > ACCENT_MAX_VALUE) continue;
+
+    const delta = max - min;
+    const hue = max === r ? ((g - b) / delta + 6) % 6 : max === g ? (b - r) / delta + 2 : (r - g) / delta + 4;
+    const bin = Math.floor((hue * 60) / HUE_BIN_DEGREES);
+    const entry = bins.get(bin) || { r: 0, g: 0, b: 0, count: 0 };
+    entry.r += r;
+    entry.g += g;
+    entry.b += b;
+    entry.count++;
+    bins.set(bin, entry);
+  }
+
+  const top = [...bins.values()].reduce((a, b) => (!a || b.count > a.count ? b : a), null);
+  return {
+    dominant: toHex(dominant),
+    accent: top ? toHex({ r: top.r / top.count, g: top.g / top.count, b: top.b / top.count }) : null
+  };
+}
+
+/**
+ * Chooses the caption colours for the sampled background under the box. With `contrast: auto` the
+ * box opacity is raised from the template's value until the text meets `contrastTarget`; when the
+ * template's text colour cannot get there even on a solid box, white or black text is tried. An
+ * `auto` brand colour is the image's accent (or dominant) colour from `palette`, lightened or
+ * darkened until it stands out from the box. With `contrast: off` the template colours are kept.
+ * Returns { boxColor, boxOpacity, textColor, brandColor, contrastRatio, contrastTarget, met }.
+ */
+function chooseColors(template, samples, palette) {
+  const target = template.contrastTarget;
+  const { boxColor } = template;
+  let brandColor = template.brandColor === 'auto'
+    ? (palette && (palette.accent || palette.dominant)) || BLACK
+    : template.brandColor;
+
+  // Text in the brand colour keeps that colour; the opaque box has to carry the contrast
+  if (template.brandColor === 'auto' && template.accent === 'text') {
+    brandColor = legibleColor(brandColor, boxColor, 1, samples, target);
+  }
+
+  const measure = (textColor, boxOpacity) => ({
+    textColor,
+    boxOpacity,
+    contrastRatio: measureContrast(textColor, boxColor, boxOpacity, samples)
+  });
+  let chosen = measure(template.accent === 'text' ? brandColor : template.textColor, template.boxOpacity);
+
+  // The lowest opacity, in OPACITY_STEP steps from the template's, at which a text colour meets the target
+  const raise = textColor => {
+    let candidate = measure(textColor, template.boxOpacity);
+    while (candidate.contrastRatio < target && candidate.boxOpacity < 1) {
+      candidate = measure(textColor, Math.min(1, Math.round((candidate.boxOpacity + OPACITY_STEP) * 100) / 100));
+    }
+    return candidate;
+  };
+
+  if (template.contrast === 'auto' && chosen.contrastRatio < target) {
+    const textColors = template.accent === 'text'
+      ? [brandColor]
+      : [template.textColor, WHITE, BLACK].filter((color, i, all) => all.indexOf(color) === i);
+    for (const textColor of textColors) {
+      const candidate = raise(textColor);
+      if (candidate.contrastRatio > chosen.contrastRatio) chosen = candidate;
+      if (candidate.contrastRatio >= target) break;
+    }
+  }
+
+  if (template.brandColor === 'auto' && template.accent !== 'text') {
+    brandColor = legibleColor(brandColor, boxColor, chosen.boxOpacity, samples, BRAND_CONTRAST);
+  }
+
+  return {
+    boxColor,
+    boxOpacity: chosen.boxOpacity,
+    textColor: template.accent === 'text' ? template.textColor : chosen.textColor,
+    brandColor,
+    contrastRatio: Math.round(chosen.contrastRatio * 100) / 100,
+    contrastTarget: target,
+    met: chosen.contrastRatio >= target
+  };
+}
+
+module.exports = {
+  relativeLuminance,
+  contrastRatio,
+  sampleRegion,
+  measureContrast,
+  extractPalette,
+  chooseColors
+};
@@ -0,0 +1,89 @@
+/**
+ * Output presets: canvas size plus the caption safe zone for each platform.
+ * `safeZone` insets (px) keep the caption clear of UI the platform draws over the image,
+ * e.g. the profile header and reply bar on stories. `maxBytes` is the platform's upload limit and
+ * becomes the default file-size budget for that preset.
+ */
+const PRESETS = {
+  landscape: {
+    description: 'Link-preview landscape (1.91:1)',
+    width: 1200,
+    height: 628,
+    safeZone: { top: 0, right: 0, bottom: 0, left: 0 },
+    maxBytes: null
+  },
+  square: {
+    description: 'Instagram feed square (1:1)',
+    width: 1080,
+    height: 1080,
+    safeZone: { top: 0, right: 0, bottom: 0, left: 0 },
+    maxBytes: 8 * 1024 * 1024
+  },
+  portrait: {
+    description: 'Instagram feed portrait (4:5)',
+    width: 1080,
+    height: 1350,
+    safeZone: { top: 0, right: 0, bottom: 0, left: 0 },
+    maxBytes: 8 * 1024 * 1024
+  },
+  story: {
+    description: 'Instagram story / reel (9:16)',
+    width: 1080,
+    height: 1920,
+    safeZone: { top: 250, right: 60, bottom: 340, left: 60 },
+    maxBytes: 8 * 1024 * 1024
+  },
+  twitter: {
+    description: 'X/Twitter in-stream image (16:9)',
+    width: 1600,
+    height: 900,
+    safeZone: { top: 0, right: 0, bottom: 0, left: 0 },
+    maxBytes: 5 * 1024 * 1024
+  },
+  linkedin: {
+    description: 'LinkedIn shared image (1.91:1)',
+    width: 1200,
+    height: 627,
+    safeZone: { top: 0, right: 0, bottom: 0, left: 0 },
+    maxBytes: 5 * 1024 * 1024
+  }
+};
+
+const DEFAULT_PRESET = 'landscape';
+
+/**
+ * Parses a comma-separated preset list ("square, story") into preset names.
+ * Returns { presets } on success or { unknown } listing names that do not exist.
+ */
+function parsePresets(value) {
+  const names = String(value || DEFAULT_PRESET)
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unique = [...new Set(names.length ? names : [DEFAULT_PRESET])];
+  const unknown = unique.filter(name => !PRESETS[name]);
+  if (unknown.length) return { unknown };
+
+  return { presets: unique };
+}
+
+/**
+ * Returns the caption area of a preset: the canvas minus its safe-zone insets.
+ */
+function captionArea(preset) {
+  const { width, height, safeZone } = preset;
+  return {
+    left: safeZone.left,
+    top: safeZone.top,
+    width: width - safeZone.left - safeZone.right,
+    height: height - safeZone.top - safeZone.bottom
+  };
+}
+
+module.exports = {
+  PRESETS,
+  DEFAULT_PRESET,
+  parsePresets,
+  captionArea
+};
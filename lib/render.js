@@ -0,0 +1,775 @@
+const sharp = require('sharp');
+const { createCanvas } = require('@napi-rs/canvas');
+const { fitText, paginateText, fontString, parseMarkup, textDirection, isolateDirection, anchorBox } = require('./layout');
+const { captionArea } = require('./presets');
+const { toRgba } = require('./templates');
+const { cropToPreset, saliencyMap, chooseCaptionAnchor } = require('./crop');
+const { DEFAULT_FORMAT, encodeImage } = require('./encode');
+const { placeAssets, intersects } = require('./assets');
+const { sampleRegion, extractPalette, chooseColors } = require('./palette');
+const { HttpError } = require('./errors');
+const { createLogger, timeStage } = require('./log');
+
+const log = createLogger('render');
+
+// Subtitles wrap onto at most this many lines before they are cut short
+const SUBTITLE_MAX_LINES = 2;
+
+// Margins and padding must leave the text at least this many ems (about four characters) at minFontSize
+const MIN_TEXT_WIDTH_EMS = 2;
+
+// Credits sit this far in from the corner of the caption area
+const CREDIT_MARGIN = 12;
+
+// Carousel page indicators ("2/5") go in this corner, never smaller than this share of the output width
+const INDICATOR_ANCHOR = 'top-right';
+const INDICATOR_SCALE = 1 / 45;
+
+// Carousel text slides: margins and type sizes as shares of the output width. Body text is never
+// smaller than the template's fontSize, and paragraphs are spaced by PARAGRAPH_GAP line heights
+const SLIDE_MARGIN = 0.08;
+const SLIDE_BODY_SCALE = 1 / 24;
+const SLIDE_HEADER_SCALE = 1 / 30;
+const SLIDE_BLUR_SIGMA = 30;
+const PARAGRAPH_GAP = 0.6;
+const BULLET = '•';
+
+/**
+ * Renders the caption box for a template into a transparent PNG sized to fit the preset's caption area.
+ * `font` is the result of resolveFont(); a missing font falls back to the canvas default sans-serif,
+ * and characters the font lacks are drawn from its script fallbacks. `*word*` in the caption is
+ * drawn in the brand colour or bold, per the template's `emphasis`. `blocks` can add a `kicker`
+ * label above the caption, in bold brand colour, and a `subtitle` below it; both are set smaller
+ * than the caption and cut short rather than shrunk. The box is only filled for the `pill`
+ * background; bars and scrims are drawn behind it by renderBackground().
+ * Returns the PNG and the layout that was used; `layout.box` is where the template anchor puts it
+ * and `layout.textRects` are the measured lines of every block, relative to the box.
+ */
+function renderCaptionBox(caption, template, preset, font, blocks = {}) {
+  const { padding, accent, accentWidth, textAlign, maxLines, brandColor } = template;
+  const area = captionArea(preset);
+
+  // --- Text and Box Styling ---
+  const verticalPadding = Math.max(0, padding - 5); // The box sits 5px tighter above and below the text
+  const barWidth = accent === 'bar' ? accentWidth : 0;
+  const underlineHeight = accent === 'underline' ? accentWidth : 0;
+
+  // --- Set up Canvas for Text Measurement ---
+  const measureCanvas = createCanvas(200, 100);
+  const measureContext = measureCanvas.getContext('2d');
+  const fontName = font.family || 'sans-serif';
+  const fontWeight = font.weight;
+  const fontFamilies = [font.alias || fontName, ...(font.scriptFallbacks || [])];
+
+  // --- Parse Emphasis Markup ---
+  const markup = template.emphasis === 'none' ? { text: caption, spans: [] } : parseMarkup(caption);
+  const boldWeight = template.emphasis === 'bold' ? Math.max(700, fontWeight) : null;
+  const direction = textDirection(markup.text);
+
+  // --- Define Safe Zone and Fit Text ---
+  // Set the maximum width for the text, leaving the template margin on the sides of the caption area.
+  const maxTextWidth = area.width - (template.marginX * 2) - (padding * 2) - barWidth;
+  if (maxTextWidth < template.minFontSize * MIN_TEXT_WIDTH_EMS) {
+    throw new HttpError(400, 'INVALID_OPTION',
+      `marginX ${template.marginX} and padding ${padding} leave no room for text in the ${area.width}px wide caption area`,
+      { field: 'marginX' });
+  }
+  if (area.height - (template.marginY * 2) - (verticalPadding * 2) - underlineHeight < template.minFontSize) {
+    throw new HttpError(400, 'INVALID_OPTION',
+      `marginY ${template.marginY} and padding ${padding} leave no room for text in the ${area.height}px high caption area`,
+      { field: 'marginY' });
+  }
+
+  // The caption gets the area's height less the margins, padding and the most a kicker and subtitle can take
+  const blockSpace = (size, blockLines) => size + (blockLines - 1) * Math.round(size * template.lineHeight) +
+    Math.round(template.fontSize * 0.3);
+  const maxTextHeight = area.height - (template.marginY * 2) - (verticalPadding * 2) - underlineHeight -
+    (blocks.kicker ? blockSpace(Math.min(template.kickerSize, template.fontSize), 1) : 0) -
+    (blocks.subtitle ? blockSpace(Math.min(template.subtitleSize, template.fontSize), SUBTITLE_MAX_LINES) : 0);
+  if (maxTextHeight < template.minFontSize) {
+    throw new HttpError(400, 'INVALID_OPTION',
+      `The caption does not fit the ${area.height}px high caption area at minFontSize ${template.minFontSize}; ` +
+      'reduce the font size, margins or padding', { field: 'minFontSize' });
+  }
+
+  const { lines, runs, widths, fontSize, truncated } = fitText(measureContext, markup.text, {
+    fontFamily: fontFamilies,
+    fontWeight,
+    maxWidth: maxTextWidth,
+    maxLines,
+    maxHeight: maxTextHeight,
+    lineHeight: template.lineHeight,
+    fontSize: template.fontSize,
+    minFontSize: template.minFontSize,
+    spans: markup.spans,
+    boldWeight
+  });
+  const lineHeight = Math.round(fontSize * template.lineHeight);
+
+  // --- Fit the Kicker and Subtitle ---
+  // Never larger than the caption once it has been fitted, and truncated rather than shrunk
+  const fitBlock = (text, size, weight, blockLines) => {
+    const blockSize = Math.min(size, fontSize);
+    return fitText(measureContext, text, {
+      fontFamily: fontFamilies,
+      fontWeight: weight,
+      maxWidth: maxTextWidth,
+      maxLines: blockLines,
+      fontSize: blockSize,
+      minFontSize: blockSize
+    });
+  };
+  const kickerWeight = Math.max(700, fontWeight);
+  const textColor = accent === 'text' ? brandColor : template.textColor;
+  const textBlocks = [
+    blocks.kicker && {
+      name: 'kicker',
+      ...fitBlock(blocks.kicker, template.kickerSize, kickerWeight, 1),
+      weight: kickerWeight,
+      color: brandColor
+    },
+    { name: 'caption', lines, runs, widths, fontSize, truncated, weight: fontWeight, color: textColor },
+    blocks.subtitle && {
+      name: 'subtitle',
+      ...fitBlock(blocks.subtitle, template.subtitleSize, fontWeight, SUBTITLE_MAX_LINES),
+      weight: fontWeight,
+      color: textColor
+    }
+  ].filter(Boolean);
+
+  // --- Stack the Blocks ---
+  // Each block is its first line plus one line height per extra line, with a gap between blocks
+  const blockGap = Math.round(fontSize * 0.3);
+  let blockTop = verticalPadding;
+  for (const block of textBlocks) {
+    block.lineHeight = Math.round(block.fontSize * template.lineHeight);
+    block.direction = block.name === 'caption' ? direction : textDirection(block.lines.join(' '));
+    block.top = blockTop;
+    blockTop += block.fontSize + (block.lines.length - 1) * block.lineHeight + blockGap;
+  }
+
+  // --- Calculate Exact Box Dimensions ---
+  const longestLineWidth = Math.max(...textBlocks.flatMap(block => block.widths));
+
+  // Exact box sizing: text width + padding on each side, plus any accent bar
+  const boxWidth = Math.ceil(longestLineWidth) + (padding * 2) + barWidth;
+
+  // Exact box height: the stacked blocks, padding top and bottom, plus any underline
+  const textHeight = blockTop - blockGap - verticalPadding;
+  const boxHeight = textHeight + (verticalPadding * 2) + underlineHeight;
+
+  // Calculate final positions
+  const { left: boxLeft, top: boxTop } = anchorBox(
+    template.anchor, boxWidth, boxHeight, area, template.marginX, template.marginY
+  );
+
+  // --- Create Canvas-based Text Overlay (more reliable than SVG on server) ---
+  const canvas = createCanvas(boxWidth, boxHeight);
+  const canvasContext = canvas.getContext('2d');
+
+  // Draw rounded rectangle; bar and scrim backgrounds are full-width layers drawn separately
+  canvasContext.beginPath();
+  canvasContext.roundRect(0, 0, boxWidth, boxHeight, template.cornerRadius);
+  if (template.background === 'pill') {
+    canvasContext.fillStyle = toRgba(template.boxColor, template.boxOpacity);
+    canvasContext.fill();
+  }
+
+  // Brand-colour accents are clipped to the box so they follow its rounded corners
+  if (accent === 'bar' || accent === 'underline') {
+    canvasContext.save();
+    canvasContext.clip();
+    canvasContext.fillStyle = brandColor;
+    if (accent === 'bar') {
+      canvasContext.fillRect(0, 0, barWidth, boxHeight);
+    } else {
+      canvasContext.fillRect(0, boxHeight - underlineHeight, boxWidth, underlineHeight);
+    }
+    canvasContext.restore();
+  } else if (accent === 'border' && accentWidth > 0) {
+    canvasContext.strokeStyle = brandColor;
+    canvasContext.lineWidth = accentWidth;
+    canvasContext.beginPath();
+    canvasContext.roundRect(accentWidth / 2, accentWidth / 2, boxWidth - accentWidth, boxHeight - accentWidth, template.cornerRadius);
+    canvasContext.stroke();
+  }
+
+  // Configure text rendering; emphasis swaps to the text colour when the whole caption is brand-coloured
+  const emphasisColor = accent === 'text' ? template.textColor : brandColor;
+  canvasContext.textAlign = textAlign;
+  canvasContext.textBaseline = 'middle';
+
+  // Draw each line of each block; text sits a little above the middle of its line (4px at 30px)
+  const textLeft = barWidth + padding;
+  const textX = textAlign === 'left' ? textLeft
+    : textAlign === 'right' ? boxWidth - padding
+    : textLeft + (boxWidth - textLeft - padding) / 2;
+  const lineLeft = width => (textAlign === 'left' ? textX
+    : textAlign === 'right' ? textX - width
+    : textX - width / 2);
+  const textRects = [];
+  for (const block of textBlocks) {
+    const blockFont = fontString(block.weight, block.fontSize, fontFamilies);
+    block.lines.forEach((line, i) => {
+      const lineTop = block.top + i * block.lineHeight - Math.round(block.fontSize / 8);
+      const lineY = lineTop + block.fontSize / 2;
+      textRects.push({
+        block: block.name,
+        text: line,
+        left: Math.round(lineLeft(block.widths[i])),
+        top: Math.round(lineTop),
+        width: Math.round(block.widths[i]),
+        height: block.fontSize
+      });
+
+      canvasContext.font = blockFont;
+      canvasContext.fillStyle = block.color;
+      if (!block.runs[i].some(run => run.emphasis)) {
+        canvasContext.fillText(isolateDirection(line, block.direction), textX, lineY);
+        return;
+      }
+
+      // Lines with emphasis are drawn run by run from their left edge; RTL lines place runs right to left.
+      // Spaces at run edges are skipped over rather than drawn, as the canvas would move them to the outside.
+      let runX = lineLeft(block.widths[i]);
+      canvasContext.textAlign = 'left';
+      for (const run of block.direction === 'rtl' ? [...block.runs[i]].reverse() : block.runs[i]) {
+        const [, leading, body, trailing] = /^(\s*)(.*?)(\s*)$/su.exec(run.text);
+        canvasContext.font = fontString(run.emphasis && boldWeight ? boldWeight : block.weight, block.fontSize, fontFamilies);
+        canvasContext.fillStyle = run.emphasis && template.emphasis === 'brand' ? emphasisColor : block.color;
+        runX += canvasContext.measureText(block.direction === 'rtl' ? trailing : leading).width;
+        canvasContext.fillText(isolateDirection(body, block.direction), runX, lineY);
+        runX += canvasContext.measureText(body).width + canvasContext.measureText(block.direction === 'rtl' ? leading : trailing).width;
+      }
+      canvasContext.textAlign = textAlign;
+    });
+  }
+
+  log.debug('Caption laid out', {
+    font: fontString(fontWeight, fontSize, fontFamilies),
+    fallback: font.fallback,
+    lines,
+    maxLines,
+    truncated,
+    direction,
+    lineHeight,
+    textAlign,
+    blocks: textBlocks.map(block => ({ name: block.name, fontSize: block.fontSize, lines: block.lines.length })),
+    longestLineWidth,
+    background: template.background,
+    box: { left: boxLeft, top: boxTop, width: boxWidth, height: boxHeight },
+    text: { left: boxLeft + textLeft, top: boxTop + verticalPadding }
+  });
+
+  const kickerBlock = textBlocks.find(block => block.name === 'kicker');
+  const subtitleBlock = textBlocks.find(block => block.name === 'subtitle');
+  return {
+    buffer: canvas.toBuffer('image/png'),
+    layout: {
+      lines,
+      fontSize,
+      lineHeight,
+      truncated,
+      direction,
+      font: fontName,
+      fontWeight,
+      kicker: kickerBlock ? kickerBlock.lines[0] : null,
+      subtitle: subtitleBlock ? subtitleBlock.lines : [],
+      maxWidth: maxTextWidth,
+      background: template.background,
+      box: { left: boxLeft, top: boxTop, width: boxWidth, height: boxHeight },
+      // Where each line's text sits, relative to the box
+      textRects
+    }
+  };
+}
+
+/**
+ * Draws the full-width `bar` or `scrim` background behind a placed caption box. A bar is a band
+ * of the box colour as tall as the box; a scrim fades from transparent to the box colour towards
+ * the edge the caption is anchored to, covering at least `scrimHeight` of the output.
+ * Returns { buffer, left, top, width, height }, or null for the `pill` background.
+ */
+function renderBackground(template, anchor, box, width, height) {
+  if (template.background === 'pill') return null;
+
+  const solid = toRgba(template.boxColor, template.boxOpacity);
+  const clear = toRgba(template.boxColor, 0);
+  const boxBottom = box.top + box.height;
+
+  let top, bottom;
+  const stops = [];
+  if (template.background === 'bar') {
+    top = box.top;
+    bottom = boxBottom;
+  } else {
+    const vertical = anchor.split('-')[0];
+    const scrimHeight = Math.round(height * template.scrimHeight);
+    // The fade takes at least the height of the box, so the text always sits on the solid part
+    if (vertical === 'bottom') {
+      top = Math.max(0, Math.min(height - scrimHeight, box.top - box.height));
+      bottom = height;
+    } else if (vertical === 'top') {
+      top = 0;
+      bottom = Math.min(height, Math.max(scrimHeight, boxBottom + box.height));
+    } else {
+      top = Math.max(0, box.top - box.height);
+      bottom = Math.min(height, boxBottom + box.height);
+    }
+    const offset = y => Math.min(1, Math.max(0, (y - top) / (bottom - top)));
+    stops.push(
+      [0, vertical === 'top' ? solid : clear],
+      [offset(box.top), solid],
+      [offset(boxBottom), solid],
+      [1, vertical === 'bottom' ? solid : clear]
+    );
+  }
+
+  const canvas = createCanvas(width, bottom - top);
+  const canvasContext = canvas.getContext('2d');
+  if (stops.length) {
+    const gradient = canvasContext.createLinearGradient(0, 0, 0, bottom - top);
+    stops.forEach(([offset, color]) => gradient.addColorStop(offset, color));
+    canvasContext.fillStyle = gradient;
+  } else {
+    canvasContext.fillStyle = solid;
+  }
+  canvasContext.fillRect(0, 0, width, bottom - top);
+
+  return { buffer: canvas.toBuffer('image/png'), left: 0, top, width, height: bottom - top };
+}
+
+/**
+ * Renders a source or photo credit as a small label: one line of `creditSize` text (or `size`)
+ * in the template's text colour on a box-coloured pill, cut short at half the caption area's width.
+ * Returns { buffer, text, width, height }.
+ */
+function renderCredit(credit, template, preset, font, size = template.creditSize) {
+  const area = captionArea(preset);
+  const fontFamilies = [font.alias || font.family || 'sans-serif', ...(font.scriptFallbacks || [])];
+  const padding = Math.round(size * 0.4);
+
+  const measureContext = createCanvas(200, 100).getContext('2d');
+  const { lines, widths, fontSize } = fitText(measureContext, credit, {
+    fontFamily: fontFamilies,
+    fontWeight: font.weight,
+    maxWidth: area.width / 2 - padding * 2,
+    maxLines: 1,
+    fontSize: size,
+    minFontSize: size
+  });
+  const width = Math.ceil(widths[0]) + padding * 2;
+  const height = fontSize + padding * 2;
+
+  const canvas = createCanvas(width, height);
+  const canvasContext = canvas.getContext('2d');
+  canvasContext.fillStyle = toRgba(template.boxColor, template.boxOpacity);
+  canvasContext.beginPath();
+  canvasContext.roundRect(0, 0, width, height, Math.min(template.cornerRadius, height / 2));
+  canvasContext.fill();
+
+  canvasContext.fillStyle = template.textColor;
+  canvasContext.font = fontString(font.weight, fontSize, fontFamilies);
+  canvasContext.textBaseline = 'middle';
+  canvasContext.fillText(isolateDirection(lines[0], textDirection(lines[0])), padding, height / 2);
+
+  return { buffer: canvas.toBuffer('image/png'), text: lines[0], width, height };
+}
+
+/**
+ * Renders a carousel page indicator such as "2/5" as a label in the credit style, scaled with the
+ * preset so it reads the same on every slide. Returns { buffer, text, width, height }.
+ */
+function renderPageIndicator(page, total, template, preset, font) {
+  const size = Math.max(template.creditSize, Math.round(preset.width * INDICATOR_SCALE));
+  return renderCredit(`${page}/${total}`, template, preset, font, size);
+}
+
+// Helper to put the credit in its template corner, or the nearest other corner that keeps it clear
+// of the caption and assets: the same side first, then the same edge, then the opposite corner
+function placeCredit(label, anchor, area, obstacles) {
+  const [vertical, horizontal] = anchor.split('-');
+  const flip = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' };
+  const candidates = [
+    anchor,
+    `${flip[vertical]}-${horizontal}`,
+    `${vertical}-${flip[horizontal]}`,
+    `${flip[vertical]}-${flip[horizontal]}`
+  ];
+  const boxAt = candidate => ({
+    ...anchorBox(candidate, label.width, label.height, area, CREDIT_MARGIN, CREDIT_MARGIN),
+    width: label.width,
+    height: label.height
+  });
+  const chosen = candidates.find(candidate => !obstacles.some(obstacle => intersects(boxAt(candidate), obstacle))) || anchor;
+  return { anchor: chosen, moved: chosen !== anchor, ...boxAt(chosen) };
+}
+
+/**
+ * Lays out one output preset and composites it, without encoding: crops the source image to the
+ * preset, places the caption box and any brand assets, and returns the raw pixels with the layout.
+ * Options: `crop` (center|attention|entropy|focal), `focalPoint` ({ x, y } fractions of the source)
+ * and `captionPlacement` (auto|fixed); auto moves the caption to the top or bottom when the
+ * template position would cover the most salient part of the image. `assets` are brand assets
+ * from loadAssets(), composited beneath the caption and kept clear of it. `kicker` and `subtitle`
+ * are added to the caption box, and a `credit` label goes in the template's credit corner.
+ * `page` ({ page, total }) adds a carousel page indicator in INDICATOR_ANCHOR's corner.
+ * Box opacity, text and brand colours are then chosen with chooseColors() for the pixels under the
+ * placed box and reported in `colors`.
+ * Returns { data, raw, width, height, layout, crop, focus, assets, credit, indicator, colors }.
+ */
+async function composeOverlay(imageBuffer, caption, template, preset, font, options = {}) {
+  const { width: outputWidth, height: outputHeight } = preset;
+  const captionBox = await timeStage('layout', () => renderCaptionBox(caption, template, preset, font, {
+    kicker: options.kicker,
+    subtitle: options.subtitle
+  }));
+  const { box } = captionBox.layout;
+
+  const cropped = await timeStage('decode', () => cropToPreset(imageBuffer, preset, options));
+  log.debug('Cropped', { width: outputWidth, height: outputHeight, crop: cropped.crop });
+
+  let anchor = template.anchor;
+  if (options.captionPlacement === 'auto') {
+    const chosen = await timeStage('layout', async () => {
+      const map = await saliencyMap(cropped.data, cropped.raw);
+      const area = captionArea(preset);
+      return chooseCaptionAnchor(map, template.anchor, box.width, box.height,
+        candidate => anchorBox(candidate, box.width, box.height, area, template.marginX, template.marginY),
+        cropped.focus);
+    });
+    anchor = chosen.anchor;
+    box.left = chosen.left;
+    box.top = chosen.top;
+    log.debug('Caption placed', { anchor, templateAnchor: template.anchor });
+  }
+
+  // Colours are chosen for the pixels under the placed box, and an automatic brand colour from the image
+  const colors = await timeStage('layout', async () => chooseColors(
+    template,
+    await sampleRegion(cropped.data, cropped.raw, box),
+    template.brandColor === 'auto' ? await extractPalette(cropped.data, cropped.raw) : null
+  ));
+  const styled = { ...template, boxOpacity: colors.boxOpacity, textColor: colors.textColor, brandColor: colors.brandColor };
+  const restyled = ['boxOpacity', 'textColor', 'brandColor'].some(field => styled[field] !== template[field]);
+  if (restyled) {
+    log.debug('Colours adjusted', { ...colors, templateOpacity: template.boxOpacity, templateTextColor: template.textColor });
+  }
+
+  return timeStage('render', async () => {
+    // The box is laid out before its colours are known; only a colour change needs it drawn again
+    const captionBuffer = restyled
+      ? renderCaptionBox(caption, styled, preset, font, { kicker: options.kicker, subtitle: options.subtitle }).buffer
+      : captionBox.buffer;
+
+    // A bar covers the full width, so everything else has to keep clear of the whole band
+    const background = renderBackground(styled, anchor, box, outputWidth, outputHeight);
+    const { buffer: backgroundBuffer, ...backgroundArea } = background || box;
+    const captionFootprint = template.background === 'bar' ? backgroundArea : box;
+
+    // Brand assets are placed once the caption position is final, so they can move out of its way
+    const assets = await placeAssets(options.assets || [], outputWidth, outputHeight, captionFootprint);
+    if (assets.placements.length) {
+      log.debug('Assets placed', { assets: assets.placements.map(({ name, anchor, moved }) => ({ name, anchor, moved })) });
+    }
+
+    let credit = null;
+    const labelLayers = [];
+    if (options.credit) {
+      const label = renderCredit(options.credit, styled, preset, font);
+      credit = { text: label.text, ...placeCredit(label, template.creditAnchor, captionArea(preset), [captionFootprint, ...assets.placements]) };
+      labelLayers.push({ input: label.buffer, left: credit.left, top: credit.top });
+      log.debug('Credit placed', { anchor: credit.anchor, moved: credit.moved });
+    }
+
+    // Carousel covers carry their page indicator, kept clear of everything else like the credit
+    let indicator = null;
+    if (options.page) {
+      const label = renderPageIndicator(options.page.page, options.page.total, styled, preset, font);
+      indicator = { text: label.text, ...placeCredit(label, INDICATOR_ANCHOR, captionArea(preset), [captionFootprint, ...assets.placements, ...(credit ? [credit] : [])]) };
+      labelLayers.push({ input: label.buffer, left: indicator.left, top: indicator.top });
+    }
+
+    // Composite the background, assets, credit, page indicator and caption box onto the cropped pixels
+    const composited = await sharp(cropped.data, { raw: cropped.raw })
+      .composite([
+        ...(background ? [{ input: backgroundBuffer, left: background.left, top: background.top }] : []),
+        ...assets.layers,
+        ...labelLayers,
+        { input: captionBuffer, left: box.left, top: box.top }
+      ])
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      data: composited.data,
+      raw: { width: composited.info.width, height: composited.info.height, channels: composited.info.channels },
+      width: outputWidth,
+      height: outputHeight,
+      layout: {
+        ...captionBox.layout,
+        anchor,
+        moved: anchor !== template.anchor,
+        background: { style: template.background, ...backgroundArea }
+      },
+      crop: cropped.crop,
+      focus: cropped.focus,
+      assets: assets.placements,
+      credit,
+      indicator,
+      colors
+    };
+  });
+}
+
+/**
+ * Renders one output preset: composeOverlay() and then encoding. `output` takes the result of
+ * parseOutputOptions(); without its own maxBytes the preset's upload limit is the size budget.
+ * `options.xmp` fields are embedded as XMP within that budget.
+ * Returns { buffer, encoding, width, height, layout, crop, assets, credit, indicator, colors }.
+ */
+async function renderOverlay(imageBuffer, caption, template, preset, font, options = {}) {
+  const composed = await composeOverlay(imageBuffer, caption, template, preset, font, options);
+
+  const output = { format: DEFAULT_FORMAT, ...options.output };
+  const encoded = await timeStage('encode', () => encodeImage(composed.data, composed.raw, {
+    ...output,
+    maxBytes: output.maxBytes || preset.maxBytes,
+    xmp: options.xmp
+  }));
+  const outputBuffer = encoded.buffer;
+
+  log.debug('Encoded', {
+    size: outputBuffer.length,
+    width: composed.width,
+    height: composed.height,
+    format: encoded.format,
+    quality: encoded.quality
+  });
+  if (!encoded.withinBudget) {
+    log.warn('Output still exceeds the size budget at minimum quality', { maxBytes: output.maxBytes || preset.maxBytes, size: outputBuffer.length });
+  }
+
+  return {
+    buffer: outputBuffer,
+    encoding: {
+      format: encoded.format,
+      extension: encoded.extension,
+      contentType: encoded.contentType,
+      quality: encoded.quality,
+      withinBudget: encoded.withinBudget,
+      embeddedMetadata: encoded.embedded
+    },
+    width: composed.width,
+    height: composed.height,
+    layout: composed.layout,
+    crop: composed.crop,
+    assets: composed.assets,
+    credit: composed.credit,
+    indicator: composed.indicator,
+    colors: composed.colors
+  };
+}
+
+// Outline colours for previewOverlay()
+const PREVIEW_COLORS = {
+  captionArea: '#00e676',
+  background: '#ff9100',
+  box: '#ff1744',
+  text: '#00b0ff',
+  asset: '#ffea00',
+  focus: '#ff00ff'
+};
+
+/**
+ * Draws the layout of a composeOverlay() result over its pixels and scales it down to `width`:
+ * the preset's caption area (dashed), any bar or scrim (dashed), the caption box, each line of
+ * text, brand assets, the credit and the salient or focal point. Returns { buffer, width, height } of the JPEG.
+ */
+async function previewOverlay(composed, preset, width = 480) {
+  const { layout, assets, credit, focus } = composed;
+  const { box } = layout;
+  const area = captionArea(preset);
+  const stroke = Math.max(2, Math.round(composed.width / width) * 2);
+  const rect = (r, color, dashed = false) =>
+    `<rect x="${r.left}" y="${r.top}" width="${r.width}" height="${r.height}" fill="none" stroke="${color}" stroke-width="${stroke}"${dashed ? ` stroke-dasharray="${stroke * 4} ${stroke * 3}"` : ''}/>`;
+
+  const shapes = [
+    rect(area, PREVIEW_COLORS.captionArea, true),
+    ...(layout.background.style !== 'pill' ? [rect(layout.background, PREVIEW_COLORS.background, true)] : []),
+    ...[...assets, ...(credit ? [credit] : [])].map(asset => rect(asset, PREVIEW_COLORS.asset)),
+    rect(box, PREVIEW_COLORS.box),
+    ...layout.textRects.map(text => rect({ ...text, left: box.left + text.left, top: box.top + text.top }, PREVIEW_COLORS.text))
+  ];
+  if (focus) {
+    shapes.push(`<circle cx="${focus.x}" cy="${focus.y}" r="${stroke * 4}" fill="none" stroke="${PREVIEW_COLORS.focus}" stroke-width="${stroke}"/>`);
+  }
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${composed.width}" height="${composed.height}">${shapes.join('')}</svg>`;
+
+  // Outlines are drawn at full size first so the downscale keeps them proportionate
+  const outlined = await sharp(composed.data, { raw: composed.raw })
+    .composite([{ input: Buffer.from(svg) }])
+    .png()
+    .toBuffer();
+  const { data, info } = await sharp(outlined)
+    .resize({ width: Math.min(width, composed.width) })
+    .jpeg({ quality: 70 })
+    .toBuffer({ resolveWithObject: true });
+  return { buffer: data, width: info.width, height: info.height };
+}
+
+/**
+ * Lays out the text slides of a carousel. The body `blocks` ([{ text, bullet }]) are paginated
+ * with paginateText() into the preset's caption area, below a one-line headline and inside a
+ * margin of SLIDE_MARGIN. Bullet points hang from a brand-coloured "•".
+ * Returns { pages, metrics }; composeTextSlide() draws one page with the same metrics.
+ */
+function layoutTextSlides(blocks, template, preset, font) {
+  const area = captionArea(preset);
+  const margin = Math.round(preset.width * SLIDE_MARGIN);
+  const fontFamilies = [font.alias || font.family || 'sans-serif', ...(font.scriptFallbacks || [])];
+  const bodySize = Math.max(template.fontSize, Math.round(preset.width * SLIDE_BODY_SCALE));
+  const headerSize = Math.max(template.kickerSize, Math.round(preset.width * SLIDE_HEADER_SCALE));
+  const lineHeight = Math.round(bodySize * template.lineHeight);
+  const headerTop = area.top + margin;
+  const bodyTop = headerTop + Math.round(headerSize * template.lineHeight) + Math.round(bodySize * 0.8);
+
+  const measureContext = createCanvas(200, 100).getContext('2d');
+  measureContext.font = fontString(font.weight, bodySize, fontFamilies);
+  const bulletIndent = Math.ceil(measureContext.measureText(`${BULLET} `).width);
+
+  const metrics = {
+    area,
+    fontFamilies,
+    bodySize,
+    headerSize,
+    lineHeight,
+    bulletIndent,
+    left: area.left + margin,
+    width: area.width - margin * 2,
+    headerTop,
+    bodyTop,
+    bodyHeight: area.top + area.height - margin - bodyTop
+  };
+  // Slide text is set plain, so `*emphasis*` markers are dropped rather than drawn
+  const pages = paginateText(measureContext, blocks.map(block => ({
+    text: parseMarkup(block.text).text,
+    indent: block.bullet ? bulletIndent : 0
+  })), {
+    maxWidth: metrics.width,
+    maxHeight: metrics.bodyHeight,
+    lineHeight,
+    paragraphGap: Math.round(lineHeight * PARAGRAPH_GAP)
+  });
+
+  log.debug('Text slides laid out', { pages: pages.length, bodySize, headerSize, lines: pages.map(page => page.length) });
+  return { pages, metrics };
+}
+
+/**
+ * Prepares the shared background of a carousel's text slides: the cover, cropped to the preset
+ * with cropToPreset() and blurred. Colours are chosen with chooseColors() for the blurred pixels
+ * under the text, as on the cover; pass the cover's brand colour in `template` so every slide
+ * uses the same one. Returns { data, raw, colors }.
+ */
+async function textSlideBackground(cropped, template, metrics) {
+  const { data, info } = await sharp(cropped.data, { raw: cropped.raw })
+    .blur(SLIDE_BLUR_SIGMA)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const raw = { width: info.width, height: info.height, channels: info.channels };
+
+  const samples = await sampleRegion(data, raw, {
+    left: metrics.left,
+    top: metrics.headerTop,
+    width: metrics.width,
+    height: metrics.bodyTop + metrics.bodyHeight - metrics.headerTop
+  });
+  return { data, raw, colors: chooseColors(template, samples, null) };
+}
+
+/**
+ * Composites one carousel text slide: the textSlideBackground() under a wash of the box colour,
+ * the headline in bold brand colour, one page of body lines from layoutTextSlides() in the text
+ * colour, and the page indicator in the corner the cover has it.
+ * Returns { data, raw, width, height, headline, lines, indicator }.
+ */
+async function composeTextSlide(background, slide, template, preset, font) {
+  const { blocks, lines, page, total, headline, metrics } = slide;
+  const { colors } = background;
+  const styled = { ...template, boxOpacity: colors.boxOpacity, textColor: colors.textColor, brandColor: colors.brandColor };
+  const { fontFamilies, bodySize, headerSize, lineHeight } = metrics;
+
+  const canvas = createCanvas(preset.width, preset.height);
+  const canvasContext = canvas.getContext('2d');
+  canvasContext.fillStyle = toRgba(styled.boxColor, styled.boxOpacity);
+  canvasContext.fillRect(0, 0, preset.width, preset.height);
+  canvasContext.textBaseline = 'middle';
+
+  const label = renderPageIndicator(page, total, styled, preset, font);
+  const indicator = { text: label.text, ...placeCredit(label, INDICATOR_ANCHOR, metrics.area, []) };
+
+  // The headline keeps clear of the indicator and is cut short rather than wrapped
+  const headerWeight = Math.max(700, font.weight);
+  const header = fitText(canvasContext, parseMarkup(headline).text, {
+    fontFamily: fontFamilies,
+    fontWeight: headerWeight,
+    maxWidth: Math.min(metrics.width, indicator.left - metrics.left - CREDIT_MARGIN),
+    maxLines: 1,
+    fontSize: headerSize,
+    minFontSize: headerSize
+  });
+  const headerDirection = textDirection(header.lines[0]);
+  canvasContext.font = fontString(headerWeight, headerSize, fontFamilies);
+  canvasContext.fillStyle = styled.brandColor;
+  canvasContext.textAlign = headerDirection === 'rtl' ? 'right' : 'left';
+  canvasContext.fillText(isolateDirection(header.lines[0], headerDirection),
+    headerDirection === 'rtl' ? indicator.left - CREDIT_MARGIN : metrics.left,
+    metrics.headerTop + Math.round(headerSize * template.lineHeight) / 2);
+
+  // Right-to-left paragraphs are set from the right edge, with their bullets on that side
+  canvasContext.font = fontString(font.weight, bodySize, fontFamilies);
+  for (const line of lines) {
+    const block = blocks[line.block];
+    const direction = textDirection(block.text);
+    const y = metrics.bodyTop + line.top + lineHeight / 2;
+    const edge = direction === 'rtl' ? metrics.left + metrics.width : metrics.left;
+    const inward = direction === 'rtl' ? -1 : 1;
+    canvasContext.textAlign = direction === 'rtl' ? 'right' : 'left';
+
+    if (block.bullet && line.first) {
+      canvasContext.fillStyle = styled.brandColor;
+      canvasContext.fillText(BULLET, edge, y);
+    }
+    canvasContext.fillStyle = styled.textColor;
+    canvasContext.fillText(isolateDirection(line.text, direction), edge + inward * line.indent, y);
+  }
+
+  const composited = await sharp(background.data, { raw: background.raw })
+    .composite([
+      { input: canvas.toBuffer('image/png'), left: 0, top: 0 },
+      { input: label.buffer, left: indicator.left, top: indicator.top }
+    ])
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    data: composited.data,
+    raw: { width: composited.info.width, height: composited.info.height, channels: composited.info.channels },
+    width: preset.width,
+    height: preset.height,
+    headline: header.lines[0],
+    lines: lines.map(line => line.text),
+    indicator
+  };
+}
+
+module.exports = {
+  renderCaptionBox,
+  composeOverlay,
+  renderOverlay,
+  previewOverlay,
+  layoutTextSlides,
+  textSlideBackground,
+  composeTextSlide
+};
@@ -0,0 +1,53 @@
+const { sidecarKey } = require('./lifecycle');
+const { parseMarkup } = require('./layout');
+
+/**
+ * Suggests alt text for an overlay from the text drawn on it, for the Instagram API's alt_text:
+ *   Image with the text "Weather: Snowy summit at dawn. Clearing by noon" (Photo: Jane Doe)
+ * Emphasis markup is dropped.
+ */
+function suggestAltText({ caption, kicker, subtitle, credit }) {
+  const plain = value => value && parseMarkup(value).text;
+  const headline = [plain(kicker), plain(caption)].filter(Boolean).join(': ');
+  const text = [headline, plain(subtitle)].filter(Boolean).join('. ');
+  return `Image with the text "${text}"${credit ? ` (${credit})` : ''}`;
+}
+
+/**
+ * Fields embedded as XMP for an overlay's text; see xmpPacket().
+ */
+function xmpFields({ caption, kicker, subtitle, credit, altText }) {
+  const headline = parseMarkup(caption).text;
+  return {
+    description: [kicker && parseMarkup(kicker).text, headline, subtitle && parseMarkup(subtitle).text].filter(Boolean).join(' - '),
+    headline,
+    credit,
+    altText
+  };
+}
+
+/**
+ * Stores the metadata record of an overlay: what was drawn, from what, and how. `lifecycle` is
+ * the image's lifecycle metadata, so the record expires and is cleaned up with the image.
+ */
+async function saveSidecar(store, imageId, record, lifecycle) {
+  await store.set(sidecarKey(imageId), Buffer.from(JSON.stringify({ imageId, ...record })), {
+    metadata: { createdAt: lifecycle.createdAt, expiresAt: lifecycle.expiresAt }
+  });
+}
+
+/**
+ * Reads an overlay's metadata record. Returns { record, metadata }, or null when there is none.
+ */
+async function loadSidecar(store, imageId) {
+  const blob = await store.getWithMetadata(sidecarKey(imageId));
+  if (!blob) return null;
+  return { record: JSON.parse(blob.data.toString('utf-8')), metadata: blob.metadata || {} };
+}
+
+module.exports = {
+  suggestAltText,
+  xmpFields,
+  saveSidecar,
+  loadSidecar
+};
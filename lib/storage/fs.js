@@ -0,0 +1,97 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+// Helper to map a blob key onto a path under root, refusing keys that would escape it
+function keyPath(root, key) {
+  const segments = String(key).split('/');
+  if (!key || segments.some(segment => !segment || segment === '.' || segment === '..')) {
+    throw Object.assign(new Error(`Invalid blob key: ${key}`), { code: 'INVALID_KEY' });
+  }
+  return path.join(root, ...segments);
+}
+
+// Helper to read a file, returning null when it does not exist
+async function readIfExists(file) {
+  try {
+    return await fs.readFile(file);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Helper to list files under a directory as '/'-separated keys
+async function walk(dir, base = '') {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const keys = [];
+  for (const entry of entries) {
+    const key = base ? `${base}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      keys.push(...await walk(path.join(dir, entry.name), key));
+    } else {
+      keys.push(key);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Local filesystem backend for laptops and offline build boxes.
+ * Blobs are written to <root>/<name>/data/<key>, their metadata to <root>/<name>/meta/<key>.json.
+ * The root defaults to .data/blobs in the working directory (STORAGE_FS_ROOT overrides it).
+ */
+function createFsStore(name, { root = process.env.STORAGE_FS_ROOT || path.join(process.cwd(), '.data', 'blobs') } = {}) {
+  const dataRoot = path.join(root, name, 'data');
+  const metaRoot = path.join(root, name, 'meta');
+
+  async function readMetadata(key) {
+    const meta = await readIfExists(`${keyPath(metaRoot, key)}.json`);
+    return meta ? JSON.parse(meta.toString('utf-8')) : {};
+  }
+
+  return {
+    backend: 'fs',
+
+    async set(key, data, { metadata } = {}) {
+      const file = keyPath(dataRoot, key);
+      const metaFile = `${keyPath(metaRoot, key)}.json`;
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.mkdir(path.dirname(metaFile), { recursive: true });
+      await fs.writeFile(file, Buffer.from(data));
+      await fs.writeFile(metaFile, JSON.stringify(metadata || {}));
+    },
+
+    async get(key) {
+      return readIfExists(keyPath(dataRoot, key));
+    },
+
+    async getWithMetadata(key) {
+      const data = await readIfExists(keyPath(dataRoot, key));
+      return data ? { data, metadata: await readMetadata(key) } : null;
+    },
+
+    async getMetadata(key) {
+      const data = await readIfExists(keyPath(dataRoot, key));
+      return data ? { metadata: await readMetadata(key) } : null;
+    },
+
+    async delete(key) {
+      await fs.rm(keyPath(dataRoot, key), { force: true });
+      await fs.rm(`${keyPath(metaRoot, key)}.json`, { force: true });
+    },
+
+    async list({ prefix = '' } = {}) {
+      const keys = (await walk(dataRoot)).filter(key => key.startsWith(prefix)).sort();
+      return { blobs: keys.map(key => ({ key })) };
+    }
+  };
+}
+
+module.exports = { createFsStore };
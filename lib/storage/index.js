@@ -0,0 +1,76 @@
+const { createNetlifyStore } = require('./netlify');
+const { createFsStore } = require('./fs');
+const { createMemoryStore } = require('./memory');
+const { createS3Store } = require('./s3');
+
+const STORE_NAME = 'instagram-overlays';
+
+const BACKENDS = {
+  netlify: createNetlifyStore,
+  fs: createFsStore,
+  memory: createMemoryStore,
+  s3: createS3Store
+};
+
+/**
+ * Picks the storage backend from STORAGE_BACKEND (netlify, fs, memory or s3).
+ * Without it: Netlify Blobs when its credentials are set or when running on Lambda,
+ * otherwise the local filesystem so the harnesses work on a laptop.
+ */
+function storageBackend() {
+  const configured = (process.env.STORAGE_BACKEND || '').toLowerCase();
+  if (configured) return configured;
+  if (process.env.BLOB_SITE_ID || process.env.NETLIFY_BLOBS_TOKEN || process.env.AWS_LAMBDA_FUNCTION_NAME) {
+    return 'netlify';
+  }
+  return 'fs';
+}
+
+/**
+ * Whether `key` is a usable blob key: '/'-separated segments, none of them empty, "." or "..".
+ */
+function isValidKey(key) {
+  return typeof key === 'string' && key.length > 0 &&
+    key.split('/').every(segment => segment && segment !== '.' && segment !== '..');
+}
+
+// Helper to check every key before it reaches a backend. Invalid keys throw an Error with
+// code INVALID_KEY, which functions answer with 400.
+function withKeyValidation(store) {
+  const checked = (method) => async (key, ...args) => {
+    if (!isValidKey(key)) {
+      throw Object.assign(new Error(`Invalid blob key: ${key}`), { code: 'INVALID_KEY' });
+    }
+    return store[method](key, ...args);
+  };
+  return {
+    ...store,
+    set: checked('set'),
+    get: checked('get'),
+    getWithMetadata: checked('getWithMetadata'),
+    getMetadata: checked('getMetadata'),
+    delete: checked('delete')
+  };
+}
+
+/**
+ * Returns the configured blob store. Every backend exposes the same interface:
+ *   set(key, data, { metadata })  get(key) -> Buffer | null
+ *   getWithMetadata(key) -> { data, metadata } | null   getMetadata(key) -> { metadata } | null
+ *   delete(key)   list({ prefix }) -> { blobs: [{ key }] }
+ */
+function getBlobStore(name = STORE_NAME) {
+  const backend = storageBackend();
+  const create = BACKENDS[backend];
+  if (!create) {
+    throw new Error(`Unknown STORAGE_BACKEND: ${backend}. Expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  return withKeyValidation(create(name));
+}
+
+module.exports = {
+  STORE_NAME,
+  getBlobStore,
+  storageBackend,
+  isValidKey
+};
@@ -0,0 +1,44 @@
+// Stores live for the life of the process, shared by every function loaded into it
+const stores = new Map();
+
+/**
+ * In-memory backend for tests and local harnesses. Nothing survives a restart.
+ */
+function createMemoryStore(name) {
+  if (!stores.has(name)) stores.set(name, new Map());
+  const blobs = stores.get(name);
+
+  return {
+    backend: 'memory',
+
+    async set(key, data, { metadata } = {}) {
+      blobs.set(key, { data: Buffer.from(data), metadata: { ...(metadata || {}) } });
+    },
+
+    async get(key) {
+      const entry = blobs.get(key);
+      return entry ? Buffer.from(entry.data) : null;
+    },
+
+    async getWithMetadata(key) {
+      const entry = blobs.get(key);
+      return entry ? { data: Buffer.from(entry.data), metadata: { ...entry.metadata } } : null;
+    },
+
+    async getMetadata(key) {
+      const entry = blobs.get(key);
+      return entry ? { metadata: { ...entry.metadata } } : null;
+    },
+
+    async delete(key) {
+      blobs.delete(key);
+    },
+
+    async list({ prefix = '' } = {}) {
+      const keys = [...blobs.keys()].filter(key => key.startsWith(prefix)).sort();
+      return { blobs: keys.map(key => ({ key })) };
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,55 @@
+const { getStore } = require('@netlify/blobs');
+
+/**
+ * Netlify Blobs backend. Needs BLOB_SITE_ID and NETLIFY_BLOBS_TOKEN, as V1 functions
+ * do not get blob credentials injected automatically.
+ */
+function createNetlifyStore(name) {
+  const siteID = process.env.BLOB_SITE_ID;
+  const token = process.env.NETLIFY_BLOBS_TOKEN;
+
+  if (!siteID || !token) {
+    throw new Error(`Blob storage not configured. BLOB_SITE_ID: ${!!siteID}, BLOB_TOKEN: ${!!token}`);
+  }
+
+  const store = getStore({
+    name,
+    siteID,
+    token,
+    consistency: 'strong'  // Ensure immediate availability after write
+  });
+
+  return {
+    backend: 'netlify',
+
+    async set(key, data, { metadata } = {}) {
+      await store.set(key, data, metadata ? { metadata } : undefined);
+    },
+
+    async get(key) {
+      const data = await store.get(key, { type: 'arrayBuffer' });
+      return data ? Buffer.from(data) : null;
+    },
+
+    async getWithMetadata(key) {
+      const result = await store.getWithMetadata(key, { type: 'arrayBuffer' });
+      return result ? { data: Buffer.from(result.data), metadata: result.metadata || {} } : null;
+    },
+
+    async getMetadata(key) {
+      const result = await store.getMetadata(key);
+      return result ? { metadata: result.metadata || {} } : null;
+    },
+
+    async delete(key) {
+      await store.delete(key);
+    },
+
+    async list({ prefix } = {}) {
+      const { blobs } = await store.list(prefix ? { prefix } : undefined);
+      return { blobs: blobs.map(blob => ({ key: blob.key })) };
+    }
+  };
+}
+
+module.exports = { createNetlifyStore };
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+
+// Metadata travels as one base64 JSON header, since S3 user metadata must be ASCII
+const METADATA_HEADER = 'x-amz-meta-blob-metadata';
+
+// Helper for RFC 3986 encoding as SigV4 expects it
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// Helper to decode the XML entities S3 uses in ListObjectsV2 keys
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Signs a request with AWS Signature Version 4 and returns the headers to send.
+ */
+function signRequest({ method, url, headers, body, region, accessKeyId, secretAccessKey, now = new Date() }) {
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = sha256Hex(body || '');
+
+  const signedHeaders = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  const headerNames = Object.keys(signedHeaders).sort();
+
+  const canonicalQuery = [...url.searchParams.entries()]
+    .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+    .sort(([a, av], [b, bv]) => (a === b ? (av < bv ? -1 : 1) : (a < b ? -1 : 1)))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery,
+    headerNames.map(name => `${name}:${signedHeaders[name]}\n`).join(''),
+    headerNames.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signedHeaders,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`
+  };
+}
+
+/**
+ * S3-compatible backend (AWS S3, MinIO, R2, ...). Uses path-style URLs so a local MinIO works
+ * without DNS setup. Keys are stored as <name>/<key> in the bucket.
+ *
+ * Configuration: S3_ENDPOINT (e.g. http://localhost:9000), S3_BUCKET, S3_REGION (default us-east-1),
+ * S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY.
+ */
+function createS3Store(name, {
+  endpoint = process.env.S3_ENDPOINT,
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY
+} = {}) {
+  if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error(`S3 storage not configured. S3_ENDPOINT: ${!!endpoint}, S3_BUCKET: ${!!bucket}, S3_ACCESS_KEY_ID: ${!!accessKeyId}, S3_SECRET_ACCESS_KEY: ${!!secretAccessKey}`);
+  }
+
+  const base = endpoint.replace(/\/+$/, '');
+  const objectUrl = (key) => new URL(`${base}/${encodeRfc3986(bucket)}/${`${name}/${key}`.split('/').map(encodeRfc3986).join('/')}`);
+
+  async function send(method, url, { headers = {}, body } = {}) {
+    const signed = signRequest({ method, url, headers, body, region, accessKeyId, secretAccessKey });
+    delete signed.host; // fetch sets Host itself
+    const response = await fetch(url, { method, headers: signed, body });
+    if (!response.ok && response.status !== 404) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`S3 ${method} ${url.pathname} failed with ${response.status}: ${detail.slice(0, 200)}`);
+    }
+    return response;
+  }
+
+  function readMetadata(response) {
+    const header = response.headers.get(METADATA_HEADER);
+    return header ? JSON.parse(Buffer.from(header, 'base64').toString('utf-8')) : {};
+  }
+
+  return {
+    backend: 's3',
+
+    async set(key, data, { metadata } = {}) {
+      const body = Buffer.from(data);
+      await send('PUT', objectUrl(key), {
+        headers: {
+          'content-type': 'application/octet-stream',
+          [METADATA_HEADER]: Buffer.from(JSON.stringify(metadata || {})).toString('base64')
+        },
+        body
+      });
+    },
+
+    async get(key) {
+      const response = await send('GET', objectUrl(key));
+      return response.status === 404 ? null : Buffer.from(await response.arrayBuffer());
+    },
+
+    async getWithMetadata(key) {
+      const response = await send('GET', objectUrl(key));
+      if (response.status === 404) return null;
+      return { data: Buffer.from(await response.arrayBuffer()), metadata: readMetadata(response) };
+    },
+
+    async getMetadata(key) {
+      const response = await send('HEAD', objectUrl(key));
+      return response.status === 404 ? null : { metadata: readMetadata(response) };
+    },
+
+    async delete(key) {
+      await send('DELETE', objectUrl(key));
+    },
+
+    async list({ prefix = '' } = {}) {
+      const keys = [];
+      let continuationToken;
+
+      do {
+        // Query built by hand: URLSearchParams would encode spaces as '+', which S3 signs differently
+        const query = { 'list-type': '2', prefix: `${name}/${prefix}` };
+        if (continuationToken) query['continuation-token'] = continuationToken;
+        const url = new URL(`${base}/${encodeRfc3986(bucket)}?${Object.entries(query)
+          .map(([param, value]) => `${param}=${encodeRfc3986(value)}`).join('&')}`);
+
+        const xml = await (await send('GET', url)).text();
+        for (const match of xml.matchAll(/<Key>([^<]*)<\/Key>/g)) {
+          keys.push(decodeXml(match[1]).slice(name.length + 1));
+        }
+        const next = /<NextContinuationToken>([^<]*)<\/NextContinuationToken>/.exec(xml);
+        continuationToken = next ? decodeXml(next[1]) : null;
+      } while (continuationToken);
+
+      return { blobs: keys.sort().map(key => ({ key })) };
+    }
+  };
+}
+
+module.exports = { createS3Store, signRequest };
@@ -0,0 +1,182 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+const DEFAULT_TEMPLATE = 'default';
+
+const ANCHORS = [
+  'top-left', 'top-center', 'top-right',
+  'center-left', 'center', 'center-right',
+  'bottom-left', 'bottom-center', 'bottom-right'
+];
+
+// Per-request overrides are checked against these rules; values that fail them are reported back
+const FIELD_RULES = {
+  boxColor: { type: 'color' },
+  boxOpacity: { type: 'number', min: 0, max: 1 },
+  textColor: { type: 'color' },
+  fontFamily: { type: 'string' },
+  fontWeight: { type: 'weight' },
+  fontSize: { type: 'number', min: 8, max: 200 },
+  minFontSize: { type: 'number', min: 8, max: 200 },
+  maxLines: { type: 'integer', min: 1, max: 10 },
+  lineHeight: { type: 'number', min: 1, max: 3 },
+  textAlign: { type: 'enum', values: ['left', 'center', 'right'] },
+  cornerRadius: { type: 'number', min: 0, max: 100 },
+  padding: { type: 'number', min: 0, max: 200 },
+  anchor: { type: 'enum', values: ANCHORS },
+  marginX: { type: 'number', min: 0, max: 1000 },
+  marginY: { type: 'number', min: 0, max: 1000 },
+  brandColor: { type: 'color', auto: true },
+  accent: { type: 'enum', values: ['none', 'bar', 'underline', 'border', 'text'] },
+  accentWidth: { type: 'number', min: 0, max: 50 },
+  emphasis: { type: 'enum', values: ['brand', 'bold', 'none'] },
+  background: { type: 'enum', values: ['pill', 'bar', 'scrim'] },
+  scrimHeight: { type: 'number', min: 0.1, max: 1 },
+  kickerSize: { type: 'number', min: 8, max: 200 },
+  subtitleSize: { type: 'number', min: 8, max: 200 },
+  creditSize: { type: 'number', min: 8, max: 200 },
+  creditAnchor: { type: 'enum', values: ['top-left', 'top-right', 'bottom-left', 'bottom-right'] },
+  contrast: { type: 'enum', values: ['auto', 'off'] },
+  contrastTarget: { type: 'number', min: 1, max: 21 }
+};
+
+let templateCache = null;
+
+// Helper to load every templates/*.json file once per cold start
+async function loadTemplates() {
+  if (templateCache) return templateCache;
+
+  const templates = {};
+  const files = await fs.readdir(TEMPLATES_DIR);
+  for (const file of files.filter(f => f.endsWith('.json'))) {
+    const name = path.basename(file, '.json');
+    templates[name] = JSON.parse(await fs.readFile(path.join(TEMPLATES_DIR, file), 'utf-8'));
+  }
+
+  templateCache = templates;
+  return templates;
+}
+
+/**
+ * Checks a raw option value against a field rule ({ type, min, max, values }). Returns the coerced
+ * value, or undefined when it does not fit the rule, including numbers outside the rule's range.
+ */
+function coerceValue(rule, value) {
+  if (value === undefined || value === null || value === '') return undefined;
+
+  switch (rule.type) {
+    case 'color':
+      if (rule.auto && String(value).toLowerCase() === 'auto') return 'auto';
+      return parseHexColor(value) ? String(value) : undefined;
+    case 'number':
+    case 'integer': {
+      const number = rule.type === 'integer' ? parseInt(value, 10) : parseFloat(value);
+      return Number.isFinite(number) && number >= rule.min && number <= rule.max ? number : undefined;
+    }
+    case 'enum':
+      return rule.values.includes(value) ? value : undefined;
+    case 'weight': {
+      const keyword = { normal: 400, bold: 700 }[String(value).toLowerCase()];
+      const weight = keyword || parseInt(value, 10);
+      return weight >= 100 && weight <= 900 ? Math.round(weight / 100) * 100 : undefined;
+    }
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Describes what a field rule accepts, for error responses.
+ */
+function describeRule(rule) {
+  switch (rule.type) {
+    case 'color':
+      return rule.auto ? 'a hex colour (#rgb or #rrggbb) or auto' : 'a hex colour (#rgb or #rrggbb)';
+    case 'number':
+    case 'integer':
+      return `${rule.type === 'integer' ? 'an integer' : 'a number'} between ${rule.min} and ${rule.max}`;
+    case 'enum':
+      return `one of ${rule.values.join(', ')}`;
+    case 'weight':
+      return 'a font weight (100-900, normal or bold)';
+    default:
+      return 'a string';
+  }
+}
+
+/**
+ * Parses #rgb or #rrggbb into { r, g, b }, or returns null if the value is not a hex colour.
+ */
+function parseHexColor(value) {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(value).trim());
+  if (!match) return null;
+
+  let hex = match[1];
+  if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+  return {
+    r: parseInt(hex.slice(0, 2), 16),
+    g: parseInt(hex.slice(2, 4), 16),
+    b: parseInt(hex.slice(4, 6), 16)
+  };
+}
+
+/**
+ * Converts a hex colour plus opacity into a canvas rgba() string.
+ */
+function toRgba(hex, opacity = 1) {
+  const { r, g, b } = parseHexColor(hex) || { r: 0, g: 0, b: 0 };
+  return `rgba(${r}, ${g}, ${b}, ${opacity})`;
+}
+
+/**
+ * Resolves a named template and applies per-request overrides.
+ * `readOption(field)` returns the raw request value for a template field, or undefined.
+ * Returns null when the template name is unknown. Override values that fail their field rule are
+ * left out and listed in `invalid` as { field, value, expected }.
+ */
+async function resolveTemplate(name, readOption = () => undefined) {
+  const templates = await loadTemplates();
+  const templateName = name || DEFAULT_TEMPLATE;
+
+  if (!/^[a-z0-9-]+$/i.test(templateName) || !templates[templateName]) {
+    return null;
+  }
+
+  // Named templates only need to list what differs from the default
+  const resolved = { ...templates[DEFAULT_TEMPLATE], ...templates[templateName], name: templateName };
+  const overrides = {};
+  const invalid = [];
+
+  for (const field of Object.keys(FIELD_RULES)) {
+    const raw = readOption(field);
+    const value = coerceValue(FIELD_RULES[field], raw);
+    if (value !== undefined) {
+      resolved[field] = value;
+      overrides[field] = value;
+    } else if (raw !== undefined && raw !== null && raw !== '') {
+      invalid.push({ field, value: String(raw), expected: describeRule(FIELD_RULES[field]) });
+    }
+  }
+
+  resolved.minFontSize = Math.min(resolved.minFontSize, resolved.fontSize);
+  return { template: resolved, overrides, invalid };
+}
+
+/**
+ * Lists the available template names.
+ */
+async function listTemplates() {
+  return Object.keys(await loadTemplates()).sort();
+}
+
+module.exports = {
+  ANCHORS,
+  FIELD_RULES,
+  coerceValue,
+  describeRule,
+  resolveTemplate,
+  listTemplates,
+  parseHexColor,
+  toRgba
+};
@@ -0,0 +1,119 @@
+const sharp = require('sharp');
+const { HttpError } = require('./errors');
+
+const DEFAULT_MAX_INPUT_BYTES = 15 * 1024 * 1024;
+const DEFAULT_MAX_INPUT_DIMENSION = 10000;
+const DEFAULT_MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+const DEFAULT_MAX_CAPTION_LENGTH = 500;
+
+// Formats sharp can decode here, identified by their leading bytes. SVG is deliberately absent.
+const SUPPORTED_FORMATS = ['jpeg', 'png', 'webp', 'gif', 'avif', 'tiff'];
+
+// C0/C1 control characters other than tab, line feed and carriage return
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F]/;
+
+// Helper to read a positive integer limit from the environment
+function envLimit(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return value > 0 ? value : fallback;
+}
+
+/**
+ * Identifies an image format from its magic bytes. Returns a SUPPORTED_FORMATS name,
+ * another recognised name (e.g. 'heic', 'svg') or null.
+ */
+function detectImageFormat(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+  if (/^GIF8[79]a$/.test(buffer.toString('latin1', 0, 6))) return 'gif';
+  if (/^(II\*\0|MM\0\*)$/.test(buffer.toString('latin1', 0, 4))) return 'tiff';
+
+  // ISO-BMFF: <size>ftyp<brand>
+  if (buffer.toString('latin1', 4, 8) === 'ftyp') {
+    const brand = buffer.toString('latin1', 8, 12);
+    if (brand === 'avif' || brand === 'avis') return 'avif';
+    if (['heic', 'heix', 'hevc', 'mif1', 'msf1'].includes(brand)) return 'heic';
+  }
+
+  if (/^\s*(<\?xml|<svg)/i.test(buffer.toString('utf-8', 0, 256))) return 'svg';
+  return null;
+}
+
+/**
+ * Checks an input image before rendering: byte size (MAX_INPUT_BYTES), magic bytes against
+ * SUPPORTED_FORMATS, dimensions (MAX_INPUT_DIMENSION per side, MAX_INPUT_PIXELS in total) and
+ * that the pixel data actually decodes. Resolves to { format, width, height }.
+ */
+async function validateImage(buffer) {
+  if (!buffer || buffer.length === 0) {
+    throw new HttpError(400, 'MISSING_IMAGE', 'No image data provided');
+  }
+
+  const maxBytes = envLimit('MAX_INPUT_BYTES', DEFAULT_MAX_INPUT_BYTES);
+  if (buffer.length > maxBytes) {
+    throw new HttpError(413, 'IMAGE_TOO_LARGE', `Image is ${buffer.length} bytes, limit is ${maxBytes}`, { maxBytes });
+  }
+
+  const format = detectImageFormat(buffer);
+  if (!SUPPORTED_FORMATS.includes(format)) {
+    throw new HttpError(415, 'UNSUPPORTED_IMAGE_FORMAT',
+      format ? `Unsupported image format: ${format}` : 'Body is not a recognised image',
+      { formats: SUPPORTED_FORMATS });
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new HttpError(422, 'CORRUPT_IMAGE', `Image header could not be read: ${error.message}`);
+  }
+
+  const maxDimension = envLimit('MAX_INPUT_DIMENSION', DEFAULT_MAX_INPUT_DIMENSION);
+  const maxPixels = envLimit('MAX_INPUT_PIXELS', DEFAULT_MAX_INPUT_PIXELS);
+  const { width, height } = metadata;
+  if (!width || !height || width > maxDimension || height > maxDimension || width * height > maxPixels) {
+    throw new HttpError(422, 'IMAGE_DIMENSIONS_EXCEEDED',
+      `Image is ${width}x${height}, limits are ${maxDimension}px per side and ${maxPixels} pixels`,
+      { maxDimension, maxPixels });
+  }
+
+  // A valid header can still front truncated or garbled pixel data; decode a thumbnail to find out
+  try {
+    await sharp(buffer, { failOn: 'error' }).resize(64, 64, { fit: 'inside' }).raw().toBuffer();
+  } catch (error) {
+    throw new HttpError(422, 'CORRUPT_IMAGE', `Image data could not be decoded: ${error.message}`);
+  }
+
+  return { format, width, height };
+}
+
+/**
+ * Checks a caption for control characters and length (MAX_CAPTION_LENGTH characters) and
+ * returns it with tabs and line breaks collapsed to single spaces. `field` names the text
+ * being checked (kicker, subtitle, credit) in errors for the other caption text blocks.
+ */
+function validateCaption(caption, field = 'caption') {
+  const text = String(caption);
+  const label = field.charAt(0).toUpperCase() + field.slice(1);
+  if (CONTROL_CHARACTERS.test(text)) {
+    throw new HttpError(400, 'INVALID_CAPTION', `${label} contains control characters`, { field });
+  }
+
+  const normalized = text.replace(/[\t\r\n]+/g, ' ').trim();
+  const maxLength = envLimit('MAX_CAPTION_LENGTH', DEFAULT_MAX_CAPTION_LENGTH);
+  const length = [...normalized].length;
+  if (length > maxLength) {
+    throw new HttpError(400, 'CAPTION_TOO_LONG', `${label} is ${length} characters, limit is ${maxLength}`, { field, maxLength });
+  }
+  return normalized;
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  detectImageFormat,
+  validateImage,
+  validateCaption
+};
@@ -0,0 +1,153 @@
+// JPEG APP1 segments carrying XMP start with this namespace, NUL-terminated
+const JPEG_XMP_NAMESPACE = 'http://ns.adobe.com/xap/1.0/\0';
+const JPEG_MAX_SEGMENT = 65535;
+
+// PNG keeps XMP in an uncompressed iTXt chunk with this keyword
+const PNG_XMP_KEYWORD = 'XML:com.adobe.xmp';
+const PNG_SIGNATURE_LENGTH = 8;
+
+// VP8X flag marking a WebP file with an XMP chunk
+const WEBP_XMP_FLAG = 0x04;
+const WEBP_ALPHA_FLAG = 0x10;
+
+// Formats embedXmp() can write to
+const XMP_FORMATS = ['jpeg', 'png', 'webp'];
+
+// CRC-32 lookup table for PNG chunks
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+// Helper to compute a PNG chunk CRC
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Helper to escape text for an XML element
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Builds an XMP packet with IPTC Core fields: `description` (dc:description, the caption as read),
+ * `headline` (photoshop:Headline), `credit` (photoshop:Credit) and `altText`
+ * (Iptc4xmpCore:AltTextAccessibility). Empty fields are left out.
+ */
+function xmpPacket({ description, headline, credit, altText }) {
+  const alt = value => `<rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(value)}</rdf:li></rdf:Alt>`;
+  const fields = [
+    description && `<dc:description>${alt(description)}</dc:description>`,
+    headline && `<photoshop:Headline>${escapeXml(headline)}</photoshop:Headline>`,
+    credit && `<photoshop:Credit>${escapeXml(credit)}</photoshop:Credit>`,
+    altText && `<Iptc4xmpCore:AltTextAccessibility>${alt(altText)}</Iptc4xmpCore:AltTextAccessibility>`
+  ].filter(Boolean);
+
+  return [
+    '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/"' +
+      ' xmlns:photoshop="http://ns.adobe.com/photoshop/1.0/"' +
+      ' xmlns:Iptc4xmpCore="http://iptc.org/std/Iptc4xmpCore/1.0/xmlns/">',
+    ...fields,
+    '</rdf:Description>',
+    '</rdf:RDF>',
+    '</x:xmpmeta>',
+    '<?xpacket end="r"?>'
+  ].join('\n');
+}
+
+// Helper to add an APP1 segment after the SOI marker and any JFIF APP0 segment
+function embedJpeg(buffer, packet) {
+  const payload = Buffer.concat([Buffer.from(JPEG_XMP_NAMESPACE, 'latin1'), Buffer.from(packet, 'utf-8')]);
+  if (payload.length + 2 > JPEG_MAX_SEGMENT) return null;
+
+  let offset = 2;
+  if (buffer[offset] === 0xff && buffer[offset + 1] === 0xe0) {
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  const header = Buffer.alloc(4);
+  header.writeUInt16BE(0xffe1, 0);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([buffer.subarray(0, offset), header, payload, buffer.subarray(offset)]);
+}
+
+// Helper to add an iTXt chunk right after IHDR
+function embedPng(buffer, packet) {
+  const type = Buffer.from('iTXt', 'latin1');
+  // keyword, NUL, compression flag and method (none), empty language tag and translated keyword
+  const data = Buffer.concat([Buffer.from(`${PNG_XMP_KEYWORD}\0\0\0\0\0`, 'latin1'), Buffer.from(packet, 'utf-8')]);
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  type.copy(chunk, 4);
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(Buffer.concat([type, data])), 8 + data.length);
+
+  const ihdrEnd = PNG_SIGNATURE_LENGTH + 12 + buffer.readUInt32BE(PNG_SIGNATURE_LENGTH);
+  return Buffer.concat([buffer.subarray(0, ihdrEnd), chunk, buffer.subarray(ihdrEnd)]);
+}
+
+// Helper to build a RIFF chunk, padded to an even length
+function riffChunk(fourcc, data) {
+  const header = Buffer.alloc(8);
+  header.write(fourcc, 0, 'latin1');
+  header.writeUInt32LE(data.length, 4);
+  return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+}
+
+// Helper to append an XMP chunk, turning a simple VP8/VP8L file into the extended VP8X layout
+function embedWebp(buffer, packet, width, height) {
+  let chunks = buffer.subarray(12);
+  const first = chunks.toString('latin1', 0, 4);
+
+  let vp8x;
+  if (first === 'VP8X') {
+    vp8x = Buffer.from(chunks.subarray(0, 18));
+    chunks = chunks.subarray(18);
+  } else {
+    const data = Buffer.alloc(10);
+    data.writeUIntLE(width - 1, 4, 3);
+    data.writeUIntLE(height - 1, 7, 3);
+    // A lossless bitstream records whether it uses alpha
+    if (first === 'VP8L' && (chunks[8 + 4] >> 4) & 0x01) data[0] |= WEBP_ALPHA_FLAG;
+    vp8x = riffChunk('VP8X', data);
+  }
+  vp8x[8] |= WEBP_XMP_FLAG;
+
+  const body = Buffer.concat([Buffer.from('WEBP', 'latin1'), vp8x, chunks, riffChunk('XMP ', Buffer.from(packet, 'utf-8'))]);
+  const header = Buffer.alloc(8);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(body.length, 4);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Embeds an xmpPacket() of `fields` into encoded JPEG, PNG or WebP bytes without re-encoding them;
+ * `width` and `height` are needed for WebP. Returns { buffer, embedded }, the bytes unchanged and
+ * `embedded: false` for other formats or a packet too large for a JPEG segment.
+ */
+function embedXmp(buffer, format, fields, { width, height } = {}) {
+  if (!XMP_FORMATS.includes(format)) return { buffer, embedded: false };
+
+  const packet = xmpPacket(fields);
+  const embedded = format === 'jpeg'
+    ? embedJpeg(buffer, packet)
+    : format === 'png'
+      ? embedPng(buffer, packet)
+      : embedWebp(buffer, packet, width, height);
+  return embedded ? { buffer: embedded, embedded: true } : { buffer, embedded: false };
+}
+
+module.exports = {
+  XMP_FORMATS,
+  xmpPacket,
+  embedXmp
+};
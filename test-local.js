@@ -1,15 +1,55 @@
 const fs = require('fs');
 const path = require('path');
+const http = require('http');
+const sharp = require('sharp');
 const { handler } = require('./functions/overlay');
+const { handler: imageHandler } = require('./functions/image');
+const { handler: backgroundHandler } = require('./functions/overlay-background');
+const { handler: jobsHandler } = require('./functions/jobs');
+const { handler: previewHandler } = require('./functions/preview');
+const { handler: fontsHandler } = require('./functions/fonts');
+const { verifyCallbackSignature, signImageUrl } = require('./lib/auth');
+const { parseRemoteUrl, parseOpenGraph } = require('./lib/fetch');
+const { createJob } = require('./lib/jobs');
+const { getBlobStore } = require('./lib/storage');
+const { embedXmp } = require('./lib/xmp');
+const { loadFontRegistry, SCRIPT_FALLBACK_FAMILIES } = require('./lib/fonts');
+
+// Reports a failed check and makes `npm test` exit non-zero
+function fail(message, ...details) {
+  process.exitCode = 1;
+  console.log(`❌ ${message}`, ...details);
+}
+
+// Local stand-in for the site: starts background functions and receives signed job callbacks
+function startReceiver(secret) {
+  const callbacks = [];
+  const backgroundRuns = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf-8');
+      if (req.url === '/.netlify/functions/overlay-background') {
+        res.writeHead(202).end();
+        backgroundRuns.push(backgroundHandler({ httpMethod: 'POST', path: req.url, headers: req.headers, body }));
+        return;
+      }
+      callbacks.push({ verified: verifyCallbackSignature(req.headers, body, secret).ok, job: JSON.parse(body) });
+      res.writeHead(204).end();
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, callbacks, backgroundRuns })));
+}
 
 async function testOverlay() {
   try {
     // Create a test image (you can replace this with any image file)
     const testImagePath = './vt-staterecords-fb.jpg';
-    
+
     // Check if test image exists
     if (!fs.existsSync(testImagePath)) {
-      console.log('❌ Test image not found. Please add a test-image.jpg file to the project root.');
+      fail('Test image not found. Please add a test-image.jpg file to the project root.');
       console.log('You can download any OG image from your website for testing.');
       return;
     }
@@ -21,7 +61,9 @@ async function testOverlay() {
     // Mock Netlify event
     const mockEvent = {
       body: base64Image,
+      isBase64Encoded: true,
       headers: {
+        'content-type': 'application/octet-stream',
         'x-caption': 'Vermont State Big Game Records',
         'x-brand-color': '#667eea'
       }
@@ -32,52 +74,393 @@ async function testOverlay() {
     console.log(`📝 Caption: "${mockEvent.headers['x-caption']}"`);
     console.log(`🎨 Brand color: ${mockEvent.headers['x-brand-color']}`);
 
-    // Call the function
+    // 1. JSON mode: the image is stored and served back through the image function
     const result = await handler(mockEvent);
 
     if (result.statusCode === 200) {
       // Parse the JSON response
       const response = JSON.parse(result.body);
-      
+
       if (response.success && response.imageUrl) {
         console.log('✅ Success!');
         console.log(`📤 Image URL: ${response.imageUrl}`);
         console.log(`📊 Image size: ${response.size} bytes`);
         console.log(`🆔 Image ID: ${response.imageId}`);
-        
-        // Now fetch the actual image using the same function with query parameters
+
+        // Now fetch the stored image the way the /images/* redirect would
+        const imageUrl = new URL(response.imageUrl);
         const imageEvent = {
-          queryStringParameters: {
-            serve: 'image',
-            id: response.imageId
-          }
+          httpMethod: 'GET',
+          path: imageUrl.pathname,
+          queryStringParameters: Object.fromEntries(imageUrl.searchParams)
         };
-        
-        const imageResult = await handler(imageEvent);
-        
+
+        const imageResult = await imageHandler(imageEvent);
+
+        // A signature is for one file: the image's signature does not open its metadata record
+        const previousSecret = process.env.IMAGE_URL_SECRET;
+        process.env.IMAGE_URL_SECRET = 'local-image-secret';
+        try {
+          const signed = new URL(signImageUrl(response.imageUrl).url);
+          const query = Object.fromEntries(signed.searchParams);
+          const signedImage = await imageHandler({ ...imageEvent, queryStringParameters: query });
+          const sidecar = await imageHandler({
+            ...imageEvent,
+            path: signed.pathname.replace(/\.\w+$/, '.json'),
+            queryStringParameters: query
+          });
+          if (signedImage.statusCode === 200 && sidecar.statusCode === 403) {
+            console.log('✅ Signed image URL does not open the metadata record');
+          } else {
+            fail('Signed image URL check failed:', signedImage.statusCode, sidecar.statusCode, sidecar.body);
+          }
+        } finally {
+          if (previousSecret === undefined) delete process.env.IMAGE_URL_SECRET;
+          else process.env.IMAGE_URL_SECRET = previousSecret;
+        }
+
         if (imageResult.statusCode === 200 && imageResult.isBase64Encoded) {
           // Save the actual image
           const outputBuffer = Buffer.from(imageResult.body, 'base64');
           const outputPath = './test-output.jpg';
           fs.writeFileSync(outputPath, outputBuffer);
-          
+
           console.log(`💾 Saved actual image to: ${outputPath}`);
           console.log(`📤 Actual image size: ${outputBuffer.length} bytes`);
           console.log('🎉 Open test-output.jpg to see the result!');
         } else {
-          console.log('❌ Failed to fetch image:', imageResult.statusCode);
+          fail('Failed to fetch image:', imageResult.statusCode);
           console.log(imageResult.body);
         }
       } else {
-        console.log('❌ Unexpected response format:', response);
+        fail('Unexpected response format:', response);
       }
     } else {
-      console.log('❌ Error:', result.statusCode);
+      fail('Error:', result.statusCode);
       console.log(result.body);
     }
 
+    // 2. Binary mode: the rendered bytes come back directly and nothing is stored
+    const binaryResult = await handler({
+      ...mockEvent,
+      headers: { ...mockEvent.headers, 'accept': 'image/jpeg' }
+    });
+
+    if (binaryResult.statusCode === 200 && binaryResult.isBase64Encoded) {
+      const outputBuffer = Buffer.from(binaryResult.body, 'base64');
+      const outputPath = path.join('.', 'test-output-binary.jpg');
+      fs.writeFileSync(outputPath, outputBuffer);
+
+      console.log(`✅ Binary response: ${binaryResult.headers['Content-Type']}, ${outputBuffer.length} bytes`);
+      console.log(`💾 Saved binary response to: ${outputPath}`);
+    } else {
+      fail('Binary response failed:', binaryResult.statusCode);
+      console.log(binaryResult.body);
+    }
+
+    // 3. Oversized type: the caption is shrunk and cut short to fit the caption area, and a minimum
+    // font size that cannot fit even one line is rejected. At 200px with 3x line spacing only one
+    // line fits the 628px high caption area.
+    const oversized = { 'x-font-size': '200', 'x-max-lines': '10', 'x-line-height': '3', 'x-min-font-size': '200' };
+    const fitted = await handler({ ...mockEvent, headers: { ...mockEvent.headers, ...oversized } });
+    const fittedBody = JSON.parse(fitted.body);
+    if (fitted.statusCode === 200 && fittedBody.truncated && fittedBody.lines.length === 1) {
+      console.log(`✅ Oversized caption fitted: ${JSON.stringify(fittedBody.lines)}`);
+    } else {
+      fail('Oversized caption was not fitted to one truncated line:', fitted.statusCode, fitted.body);
+    }
+
+    const dryRun = await previewHandler({ ...mockEvent, httpMethod: 'POST', headers: { ...mockEvent.headers, ...oversized } });
+    const [fittedLayout] = JSON.parse(dryRun.body).variants || [];
+    const { box } = (fittedLayout && fittedLayout.layout) || {};
+    const area = fittedLayout && fittedLayout.captionArea;
+    if (box && box.top >= area.top && box.top + box.height <= area.top + area.height) {
+      console.log(`✅ Oversized caption box stays within the caption area: ${box.height}px of ${area.height}px`);
+    } else {
+      fail('Oversized caption box is outside the caption area:', dryRun.statusCode, dryRun.body.slice(0, 500));
+    }
+
+    const unfit = await handler({ ...mockEvent, headers: { ...mockEvent.headers, ...oversized, 'x-margin-y': '250' } });
+    if (unfit.statusCode === 400 && JSON.parse(unfit.body).code === 'INVALID_OPTION') {
+      console.log('✅ Caption that cannot fit rejected with 400');
+    } else {
+      fail('Caption that cannot fit was not rejected:', unfit.statusCode, unfit.body);
+    }
+
+    const outOfRange = await handler({ ...mockEvent, headers: { ...mockEvent.headers, 'x-font-size': '500' } });
+    const [rangeError] = JSON.parse(outOfRange.body).invalid || [];
+    if (outOfRange.statusCode === 400 && rangeError && rangeError.field === 'fontSize' &&
+        rangeError.expected === 'a number between 8 and 200') {
+      console.log(`✅ Out-of-range font size rejected: expected ${rangeError.expected}`);
+    } else {
+      fail('Out-of-range font size was not rejected:', outOfRange.statusCode, outOfRange.body);
+    }
+
+    // Embedded XMP counts towards the size budget: the reported size is the final file's
+    const budgeted = await handler({
+      ...mockEvent,
+      headers: { ...mockEvent.headers, 'x-embed-metadata': 'true', 'x-max-bytes': '150000' }
+    });
+    const budgetedBody = JSON.parse(budgeted.body);
+    const [budgetedVariant] = budgetedBody.variants || [];
+    if (budgeted.statusCode === 200 && budgetedVariant.embeddedMetadata && budgetedVariant.withinBudget &&
+        budgetedBody.size <= 150000) {
+      console.log(`✅ Image with embedded XMP fits the size budget: ${budgetedBody.size} bytes`);
+    } else {
+      fail('Image with embedded XMP does not fit the size budget:', budgeted.statusCode, budgeted.body.slice(0, 500));
+    }
+
+    // Files with XMP still decode, and sharp reads the packet back: JPEG, PNG and every WebP layout
+    // (simple lossy VP8, lossless VP8L with and without alpha, which are rewritten as VP8X, and VP8X itself)
+    const xmpCases = [
+      ['jpeg', 3, image => image.jpeg()],
+      ['png', 4, image => image.png()],
+      ['webp', 3, image => image.webp()],
+      ['webp', 3, image => image.webp({ lossless: true })],
+      ['webp', 4, image => image.webp({ lossless: true })],
+      ['webp', 4, image => image.webp()]
+    ];
+    for (const [format, channels, encode] of xmpCases) {
+      const background = channels === 4 ? { r: 102, g: 126, b: 234, alpha: 0.5 } : '#667eea';
+      const encoded = await encode(sharp({ create: { width: 64, height: 48, channels, background } })).toBuffer();
+      const layout = format === 'webp' ? ` ${encoded.toString('latin1', 12, 16).trim()}` : '';
+      const { buffer, embedded } = embedXmp(encoded, format, { description: 'Vermont – records', altText: 'Alt text' }, { width: 64, height: 48 });
+      try {
+        const metadata = await sharp(buffer).metadata();
+        const { info } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+        if (embedded && metadata.xmp && metadata.xmp.toString('utf-8').includes('Vermont – records') &&
+            info.width === 64 && info.height === 48 && info.channels === channels) {
+          console.log(`✅ XMP round trip: ${format}${layout}, ${channels} channels`);
+        } else {
+          fail(`XMP round trip lost data: ${format}${layout}, ${channels} channels`, embedded, info);
+        }
+      } catch (error) {
+        fail(`XMP round trip failed to decode: ${format}${layout}, ${channels} channels`, error.message);
+      }
+    }
+
+    // Every bundled font loads, and the script fallbacks are found in their npm packages
+    const registry = await loadFontRegistry();
+    const missingFallbacks = SCRIPT_FALLBACK_FAMILIES.filter(family => !registry.fonts.some(font => font.family === family));
+    if (registry.failed.length || missingFallbacks.length) {
+      fail('Font registry incomplete:', registry.failed, missingFallbacks);
+    } else {
+      console.log(`✅ Registered ${registry.fonts.length} fonts, including every script fallback`);
+    }
+
+    // Brand fonts: a font re-uploaded under the same name is used by the next render, not a cached image
+    const uploadFont = file => fontsHandler({
+      httpMethod: 'POST',
+      headers: { 'x-font-name': 'Local Brand' },
+      body: fs.readFileSync(file).toString('base64')
+    });
+    const brandRender = async () => JSON.parse((await handler({
+      ...mockEvent,
+      headers: { ...mockEvent.headers, 'x-font-family': 'Local Brand' }
+    })).body);
+    await uploadFont('./fonts/OpenSans-Regular.ttf');
+    const firstBrand = await brandRender();
+    await uploadFont('./fonts/RobotoCondensed-Bold.ttf');
+    const secondBrand = await brandRender();
+    if (firstBrand.font.family === 'Local Brand' && secondBrand.font.family === 'Local Brand' &&
+        !secondBrand.cached && secondBrand.imageId !== firstBrand.imageId && secondBrand.font.weight === 700) {
+      console.log('✅ Re-uploaded brand font used by the next render');
+    } else {
+      fail('Re-uploaded brand font was not used:', JSON.stringify(firstBrand.font), JSON.stringify(secondBrand.font));
+    }
+
+    const headerless = await fontsHandler({ httpMethod: 'POST', body: '' });
+    if (headerless.statusCode === 400) {
+      console.log('✅ Font upload without headers rejected with 400');
+    } else {
+      fail('Font upload without headers:', headerless.statusCode, headerless.body);
+    }
+
+    // 4. Remote URLs: NAT64 and 6to4 addresses of private hosts and site-local addresses are blocked,
+    // and page titles with character references outside Unicode still parse
+    const blockedAddresses = {
+      'NAT64 address of 127.0.0.1': 'http://[64:ff9b::7f00:1]/',
+      '6to4 address of 127.0.0.1': 'http://[2002:7f00:1::]/',
+      '6to4 address of 10.0.0.1': 'http://[2002:a00:1::1]/',
+      'Site-local address': 'http://[fec0::1]/'
+    };
+    for (const [name, url] of Object.entries(blockedAddresses)) {
+      try {
+        parseRemoteUrl(url);
+        fail(`${name} was not blocked`);
+      } catch (error) {
+        if (error.code === 'URL_BLOCKED') console.log(`✅ ${name} blocked`);
+        else fail(`${name} failed with`, error.code, error.message);
+      }
+    }
+
+    const page = parseOpenGraph('<meta property="og:title" content="Records &#99999999; &#x2014; Vermont">', 'https://example.com/');
+    if (page.title === 'Records \ufffd \u2014 Vermont') {
+      console.log(`✅ Out-of-range character reference decoded: ${page.title}`);
+    } else {
+      fail('Unexpected page title:', JSON.stringify(page.title));
+    }
+
+    // 5. Idempotent retries: a retry through a different proxy hop with a new request ID replays the
+    // first response, while the same key on different options is refused
+    const idempotent = { ...mockEvent.headers, 'idempotency-key': `local-test-${Date.now()}` };
+    const first = await handler({ ...mockEvent, headers: { ...idempotent, 'x-nf-request-id': 'first-attempt' } });
+    const retry = await handler({
+      ...mockEvent,
+      headers: { ...idempotent, 'x-nf-request-id': 'second-attempt', 'x-forwarded-for': '203.0.113.7' }
+    });
+    if (first.statusCode === 200 && retry.statusCode === 200 && retry.headers['Idempotent-Replayed'] === 'true' &&
+        JSON.parse(retry.body).imageId === JSON.parse(first.body).imageId) {
+      console.log('✅ Retry with a new request ID replayed the first response');
+    } else {
+      fail('Retry with a new request ID was not replayed:', retry.statusCode, retry.body);
+    }
+
+    const reused = await handler({ ...mockEvent, headers: { ...idempotent, 'x-caption': 'Another caption' } });
+    if (reused.statusCode === 422) {
+      console.log('✅ Idempotency key reused for a different caption rejected with 422');
+    } else {
+      fail('Idempotency key reused for a different caption was not rejected:', reused.statusCode, reused.body);
+    }
+
+    // A replay recorded an hour ago signs its URLs again instead of returning ones that have expired
+    const previousSecret = process.env.IMAGE_URL_SECRET;
+    const realNow = Date.now;
+    process.env.IMAGE_URL_SECRET = 'local-image-secret';
+    try {
+      const signedRequest = {
+        ...mockEvent,
+        headers: { ...mockEvent.headers, 'x-signed-url': 'true', 'x-url-ttl': '900', 'idempotency-key': `local-signed-${realNow()}` }
+      };
+      Date.now = () => realNow() - 60 * 60 * 1000;
+      const recorded = JSON.parse((await handler(signedRequest)).body);
+      Date.now = realNow;
+      const replayed = JSON.parse((await handler(signedRequest)).body);
+      const replayedUrl = new URL(replayed.imageUrl || 'http://invalid/');
+      const served = await imageHandler({
+        httpMethod: 'GET',
+        path: replayedUrl.pathname,
+        queryStringParameters: Object.fromEntries(replayedUrl.searchParams)
+      });
+      if (recorded.imageUrl !== replayed.imageUrl && served.statusCode === 200 &&
+          new Date(replayed.urlExpiresAt).getTime() > realNow()) {
+        console.log(`✅ Replayed response re-signed its URLs until ${replayed.urlExpiresAt}`);
+      } else {
+        fail('Replayed response kept its expired URLs:', served.statusCode, JSON.stringify(replayed).slice(0, 300));
+      }
+    } finally {
+      Date.now = realNow;
+      if (previousSecret === undefined) delete process.env.IMAGE_URL_SECRET;
+      else process.env.IMAGE_URL_SECRET = previousSecret;
+    }
+
+    // 6. Async mode: 202 with a job ID, rendered by the background function, reported by the jobs
+    // function and posted to a signed callback on a local receiver
+    process.env.CALLBACK_SECRET = process.env.CALLBACK_SECRET || 'local-callback-secret';
+    process.env.ALLOW_PRIVATE_FETCH = 'true';
+    const receiver = await startReceiver(process.env.CALLBACK_SECRET);
+    const siteUrl = `http://127.0.0.1:${receiver.server.address().port}`;
+    const previousUrl = process.env.URL;
+    process.env.URL = siteUrl;
+
+    try {
+      const queued = await handler({
+        ...mockEvent,
+        headers: { ...mockEvent.headers, 'prefer': 'respond-async', 'x-callback-url': `${siteUrl}/callback` }
+      });
+      if (queued.statusCode !== 202) {
+        fail('Async request was not queued:', queued.statusCode);
+        console.log(queued.body);
+      } else {
+        const { jobId } = JSON.parse(queued.body);
+        console.log(`✅ Queued job ${jobId}`);
+
+        // The dispatch is not awaited by the overlay function; give it up to 10 seconds to arrive
+        for (let waited = 0; !receiver.backgroundRuns.length && waited < 10000; waited += 50) {
+          await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        await Promise.all(receiver.backgroundRuns);
+
+        const status = JSON.parse((await jobsHandler({ httpMethod: 'GET', queryStringParameters: { id: jobId } })).body);
+        const [callback] = receiver.callbacks;
+        if (status.status === 'done' && callback && callback.verified && callback.job.status === 'done') {
+          console.log(`✅ Job done: ${status.result.imageUrl}`);
+          console.log(`📬 Signed callback received after ${status.callback.attempts} attempt(s)`);
+        } else {
+          fail('Async job did not complete:', JSON.stringify(status));
+        }
+
+        // 7. Job visibility: with API keys on, a job is visible only to the key that queued it, and jobs
+        // queued while authentication was off are hidden from every key
+        const previousKeys = process.env.API_KEYS;
+        process.env.API_KEYS = 'alpha:local-alpha-secret,beta:local-beta-secret';
+        try {
+          const { jobId: alphaJobId } = await createJob(getBlobStore(), { path: '/.netlify/functions/overlay', headers: {} }, { keyId: 'alpha' });
+          const lookup = async (id, apiKey) => (await jobsHandler({
+            httpMethod: 'GET',
+            headers: apiKey ? { 'x-api-key': apiKey } : {},
+            queryStringParameters: { id }
+          })).statusCode;
+          const seen = {
+            own: await lookup(alphaJobId, 'local-alpha-secret'),
+            otherKey: await lookup(alphaJobId, 'local-beta-secret'),
+            noKey: await lookup(alphaJobId),
+            keyless: await lookup(jobId, 'local-alpha-secret')
+          };
+          if (seen.own === 200 && seen.otherKey === 404 && seen.noKey === 401 && seen.keyless === 404) {
+            console.log('✅ Jobs visible only to the key that queued them');
+          } else {
+            fail('Unexpected job visibility:', JSON.stringify(seen));
+          }
+
+          // 8. Background function: starting a job needs the key that queued it, which the overlay
+          // function's dispatch is signed with
+          const start = headers => backgroundHandler({
+            httpMethod: 'POST',
+            path: '/.netlify/functions/overlay-background',
+            headers,
+            body: JSON.stringify({ jobId: alphaJobId })
+          });
+          const unsigned = await start({});
+          const otherKey = await start({ 'x-api-key': 'local-beta-secret' });
+          if (unsigned.statusCode === 401 && otherKey.statusCode === 404) {
+            console.log('✅ Background function refuses unauthenticated callers and other keys');
+          } else {
+            fail('Background function started a job it should refuse:', unsigned.statusCode, otherKey.statusCode);
+          }
+
+          const signedQueued = await handler({
+            ...mockEvent,
+            headers: { ...mockEvent.headers, 'prefer': 'respond-async', 'x-api-key': 'local-alpha-secret' }
+          });
+          const signedJobId = JSON.parse(signedQueued.body).jobId;
+          for (let waited = 0; receiver.backgroundRuns.length < 2 && waited < 10000; waited += 50) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+          }
+          await Promise.all(receiver.backgroundRuns);
+          const signedStatus = JSON.parse((await jobsHandler({
+            httpMethod: 'GET',
+            headers: { 'x-api-key': 'local-alpha-secret' },
+            queryStringParameters: { id: signedJobId }
+          })).body);
+          if (signedStatus.status === 'done') {
+            console.log('✅ Signed dispatch started the job for its key');
+          } else {
+            fail('Signed dispatch did not complete the job:', signedQueued.statusCode, JSON.stringify(signedStatus));
+          }
+        } finally {
+          if (previousKeys === undefined) delete process.env.API_KEYS;
+          else process.env.API_KEYS = previousKeys;
+        }
+      }
+    } finally {
+      receiver.server.close();
+      if (previousUrl === undefined) delete process.env.URL;
+      else process.env.URL = previousUrl;
+    }
+
   } catch (error) {
-    console.error('❌ Test failed:', error.message);
+    fail('Test failed:', error.message);
   }
 }
 
@@ -30,10 +30,13 @@ app.post('/test-overlay', upload.single('image'), async (req, res) => {
       return res.status(400).json({ error: 'No image data provided' });
     }
 
-    // Mock Netlify event
+    // Mock Netlify event asking for the rendered image back instead of a stored URL
     const mockEvent = {
       body: imageBuffer.toString('base64'),
+      isBase64Encoded: true,
       headers: {
+        'content-type': 'application/octet-stream',
+        'accept': 'image/jpeg',
         'x-caption': caption,
         'x-brand-color': brandColor
       }
@@ -46,10 +49,10 @@ app.post('/test-overlay', upload.single('image'), async (req, res) => {
     // Call the overlay function
     const result = await handler(mockEvent);
 
-    if (result.statusCode === 200) {
+    if (result.statusCode === 200 && result.isBase64Encoded) {
       const outputBuffer = Buffer.from(result.body, 'base64');
       res.set({
-        'Content-Type': 'image/jpeg',
+        'Content-Type': result.headers['Content-Type'],
         'Content-Length': outputBuffer.length
       });
       res.send(outputBuffer);